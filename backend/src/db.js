@@ -2,30 +2,26 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { BUSY_TIMEOUT_MS } from './services/repositories/sqlite.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dataDir = path.join(__dirname, '..', 'data');
+// SQLITE_PATH points elsewhere, e.g. a throwaway database for tests
+export const dbPath = path.resolve(process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'blog.db'));
+const dataDir = path.dirname(dbPath);
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-const dbPath = path.join(dataDir, 'blog.db');
+// Schema is owned by the versioned migrations in ./migrations (see migrator.js)
 sqlite3.verbose();
 const db = new sqlite3.Database(dbPath);
-
-db.serialize(() => {
-  db.run(
-    `CREATE TABLE IF NOT EXISTS articles (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`
-  );
-});
+// Writes wait for a transaction held by another connection (article imports)
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+// SQLite leaves foreign key enforcement (and ON DELETE actions) off by default
+// With DATABASE_URL set, articles live in PostgreSQL (see services/repositories),
+// so local rows that reference them by id cannot be enforced here
+if (!process.env.DATABASE_URL) db.run('PRAGMA foreign_keys = ON');
 
 export default db;
-
-
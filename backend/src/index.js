@@ -1,18 +1,42 @@
+// Load .env before any module reads process.env at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import articlesRouter from './routes/articles.js';
+import jobsRouter from './routes/jobs.js';
+import topicsRouter from './routes/topics.js';
+import schedulesRouter from './routes/schedules.js';
+import feedsRouter from './routes/feeds.js';
+import authRouter from './routes/auth.js';
+import statsRouter from './routes/stats.js';
+import tagsRouter from './routes/tags.js';
+import promptsRouter from './routes/prompts.js';
+import corpusRouter from './routes/corpus.js';
+import metricsRouter from './routes/metrics.js';
+import { authenticate } from './middleware/auth.js';
+import { requestContext } from './middleware/requestContext.js';
+import { apiRateLimit, authFailureRateLimit } from './middleware/rateLimit.js';
+import { isAdminKeyConfigured } from './services/authService.js';
 import { startArticleJob } from './services/articleJob.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { seedIfEmpty } from './services/articleService.js';
+import { getArticleRepository } from './services/repositories/index.js';
+import { backupCoversArticles, getBackupStatus, startBackupSchedule } from './services/backupService.js';
+import { getLeadershipRole, runAsLeader } from './services/leadership.js';
+import { migrateUp } from './migrator.js';
+import { getProvider } from './services/providers/index.js';
+import { logger } from './logger.js';
 import db from './db.js';
-import './services/articleService.js'; // ensures seeding
-
-dotenv.config();
 
 // Validate environment variables
-if (!process.env.OPENROUTER_API_KEY) {
-  console.warn('⚠️  OPENROUTER_API_KEY not set. AI generation will use fallback templates.');
+const aiProvider = getProvider();
+if (!aiProvider.isConfigured()) {
+  logger.warn('AI provider is not configured; AI generation will use fallback templates', { provider: aiProvider.name });
+}
+if (!isAdminKeyConfigured()) {
+  logger.warn('ADMIN_API_KEY is not set; protected routes only accept keys stored in api_keys');
 }
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,14 +44,44 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 4000;
 
 const app = express();
+// Behind a load balancer, trust its X-Forwarded-For so per-IP limits see the client (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+app.use(requestContext);
 app.use(express.json());
 app.use(
   cors({
-    origin: process.env.ALLOWED_ORIGIN?.split(',') || '*'
+    origin: process.env.ALLOWED_ORIGIN?.split(',') || '*',
+    exposedHeaders: [
+      'Link',
+      'X-Total-Count',
+      'Location',
+      'WWW-Authenticate',
+      'Retry-After',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'X-Request-Id'
+    ]
   })
 );
 
+app.use('/api', authFailureRateLimit, authenticate, apiRateLimit);
+app.use('/api/auth', authRouter);
 app.use('/api/articles', articlesRouter);
+app.use('/api/tags', tagsRouter);
+// RSS, Atom and JSON Feed at /feed.xml, /atom.xml and /feed.json, and per tag under /tags/:tag/
+app.use(feedsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/topics', topicsRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/prompts', promptsRouter);
+app.use('/api/corpus', corpusRouter);
+// Prometheus metrics at /metrics
+app.use(metricsRouter);
 
 app.get('/health', async (_req, res) => {
   try {
@@ -35,7 +89,17 @@ app.get('/health', async (_req, res) => {
     await new Promise((resolve, reject) => {
       db.get('SELECT 1', (err) => err ? reject(err) : resolve());
     });
-    res.json({ ok: true, db: 'connected', timestamp: new Date().toISOString() });
+    // Articles may live in PostgreSQL (DATABASE_URL)
+    await getArticleRepository().count();
+    // A missing or unreadable backup manifest is reported, not treated as an outage
+    const backup = await getBackupStatus().catch(err => ({ error: err.message, covers_articles: backupCoversArticles }));
+    res.json({
+      ok: true,
+      db: 'connected',
+      backup,
+      background: getLeadershipRole(),
+      timestamp: new Date().toISOString()
+    });
   } catch (err) {
     res.status(503).json({ ok: false, db: 'disconnected', error: err.message });
   }
@@ -44,9 +108,24 @@ app.get('/health', async (_req, res) => {
 // serve static files if mounted with build (optional)
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Bring the schema up to date and seed before accepting traffic
+try {
+  await migrateUp();
+  await getArticleRepository().init();
+  await seedIfEmpty();
+} catch (err) {
+  logger.error('Database initialization failed', { err });
+  process.exit(1);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Backend running on port ${PORT}`);
-  startArticleJob();
+  logger.info(`Backend running on port ${PORT}`, { port: Number(PORT), articleStore: getArticleRepository().name });
+  // Only one container runs jobs, schedules and backups (see leadership.js)
+  runAsLeader(() => {
+    startJobWorker().catch(err => logger.error('Failed to start job worker', { err }));
+    startArticleJob().catch(err => logger.error('Failed to start article schedules', { err }));
+    startBackupSchedule();
+  }).catch(err => logger.error('Leader election failed', { err }));
 });
 
 
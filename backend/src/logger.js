@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+// Fields (and env vars) whose values are never written, e.g. apiKey, x-api-key, OPENROUTER_API_KEY
+const secretKeyPattern = /(authorization|cookie|password|secret|api[-_]?key|token)$/i;
+
+// Secrets that can turn up inside messages: bearer tokens, credentials in
+// URLs, OpenAI/OpenRouter keys (sk-...) and this app's stored keys (bk_...)
+const secretPatterns = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/(\/\/[^/\s:@]+:)[^@\s/]+@/g, `$1${REDACTED}@`],
+  [/\b(sk-|bk_)[A-Za-z0-9_-]{16,}/g, `$1${REDACTED}`]
+];
+
+// Request and job ids of the code currently running (see withLogContext)
+const context = new AsyncLocalStorage();
+
+let configuredSecrets = null;
+
+/**
+ * Values of secret env vars, read on first use so .env has been loaded by then
+ */
+function secretValues() {
+  configuredSecrets ??= Object.entries(process.env)
+    .filter(([name, value]) => secretKeyPattern.test(name) && value?.length >= 8)
+    .map(([, value]) => value);
+  return configuredSecrets;
+}
+
+export function redactString(text) {
+  let result = text;
+  for (const secret of secretValues()) result = result.split(secret).join(REDACTED);
+  for (const [pattern, replacement] of secretPatterns) result = result.replace(pattern, replacement);
+  return result;
+}
+
+/**
+ * Copy of a log field that is safe to serialize: secrets redacted, errors
+ * as { name, message, code, status, stack }, nesting cut off at a few levels
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined ? { code: value.code } : {}),
+        ...(value.status !== undefined ? { status: value.status } : {}),
+        stack: value.stack
+      },
+      depth
+    );
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 4) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, secretKeyPattern.test(key) ? REDACTED : redact(item, depth + 1)])
+  );
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...context.getStore(),
+    ...redact({ ...bindings, ...fields })
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    // Logger that adds `fields` to every entry, e.g. { provider: 'openrouter' }
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+/**
+ * JSON lines logger: { time, level, msg, requestId?, jobId?, ...fields }
+ * Levels below LOG_LEVEL (default info) are dropped; warn and error go to stderr
+ * Pass errors as a field, e.g. logger.error('Job failed', { err })
+ */
+export const logger = createLogger();
+
+/**
+ * Runs `fn` with `fields` added to every entry logged from it, including
+ * from callbacks and promises it starts
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current log context, e.g. { requestId }
+ */
+export function getLogContext() {
+  return context.getStore() || {};
+}
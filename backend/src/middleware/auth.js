@@ -0,0 +1,54 @@
+import { findPrincipal, hasRole } from '../services/authService.js';
+import { logger } from '../logger.js';
+
+/**
+ * Reads the API key from `Authorization: Bearer <key>` or `X-API-Key`
+ */
+function readApiKey(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Identifies the caller and sets `req.auth` ({ id, name, role })
+ * Requests without a key stay anonymous; a key that is presented but unknown
+ * or revoked is rejected with 401 rather than silently downgraded
+ */
+export async function authenticate(req, res, next) {
+  const key = readApiKey(req);
+  if (!key) return next();
+  try {
+    const principal = await findPrincipal(key);
+    if (!principal) {
+      // Counted by authFailureRateLimit
+      res.locals.invalidApiKey = true;
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.auth = principal;
+    next();
+  } catch (err) {
+    logger.error('Error authenticating request', { err });
+    res.status(500).json({ error: 'Failed to authenticate', details: err.message });
+  }
+}
+
+/**
+ * Guards a route: 401 for anonymous callers, 403 when the role is too low
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.auth, role)) {
+      return res.status(403).json({ error: 'Forbidden', details: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Answers 429 with Retry-After (seconds)
+ */
+export function sendTooManyRequests(res, { retryAfterSeconds, error, details }) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error, details, retryAfterSeconds });
+}
+
+/**
+ * Callers are counted per API key when signed in, otherwise per client IP
+ * (set TRUST_PROXY when running behind a load balancer so req.ip is the client's)
+ */
+function clientId(req) {
+  if (req.auth) return `key:${req.auth.id ?? req.auth.name}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Fixed-window, in-memory rate limiter: at most `max` requests per
+ * `windowMs` per caller. Counters live in this process, so each backend
+ * instance enforces its own limit. A `max` of 0 disables the limiter
+ * `keyFor` picks the counter a request belongs to (default: API key, else IP)
+ * With `countWhen(req, res)` only finished requests it accepts are counted,
+ * and callers are refused once they have used up the window
+ */
+export function rateLimit({ name, windowMs, max, keyFor = clientId, countWhen }) {
+  const windows = new Map();
+
+  // Forget callers whose window has ended so the map does not grow unbounded
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  }, windowMs).unref();
+
+  const currentWindow = (id, now) => {
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    return window;
+  };
+
+  const refuse = (res, window, now) =>
+    sendTooManyRequests(res, {
+      retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000),
+      error: 'Rate limit exceeded',
+      details: `At most ${max} ${name} requests per ${Math.round(windowMs / 1000)}s`
+    });
+
+  return (req, res, next) => {
+    if (max <= 0) return next();
+
+    const now = Date.now();
+    const id = keyFor(req);
+    const window = currentWindow(id, now);
+
+    if (countWhen) {
+      if (window.count >= max) return refuse(res, window, now);
+      res.on('finish', () => {
+        if (countWhen(req, res)) currentWindow(id, Date.now()).count += 1;
+      });
+      return next();
+    }
+
+    window.count += 1;
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(Math.ceil((window.resetAt - now) / 1000))
+    });
+    if (window.count > max) return refuse(res, window, now);
+    next();
+  };
+}
+
+// Requests with an unknown or revoked API key, per client IP; runs before
+// authenticate so key guessing is throttled even though it never gets a principal
+export const authFailureRateLimit = rateLimit({
+  name: 'failed authentication',
+  windowMs: Number(process.env.AUTH_FAILURE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  max: Number(process.env.AUTH_FAILURE_LIMIT_MAX ?? 10),
+  keyFor: req => `ip:${req.ip}`,
+  countWhen: (req, res) => res.locals.invalidApiKey === true
+});
+
+// Every /api request
+export const apiRateLimit = rateLimit({
+  name: 'API',
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000),
+  max: Number(process.env.RATE_LIMIT_MAX ?? 120)
+});
+
+// Requests that queue an LLM generation (generate, run a schedule now)
+export const generationRateLimit = rateLimit({
+  name: 'generation',
+  windowMs: Number(process.env.GENERATE_RATE_LIMIT_WINDOW_MS || 60 * 60 * 1000),
+  max: Number(process.env.GENERATE_RATE_LIMIT_MAX ?? 10)
+});
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { logger, withLogContext } from '../logger.js';
+import { httpRequestDuration, routeLabel } from '../services/metrics.js';
+
+// Incoming ids from a proxy or client are kept when they look like ids
+const requestIdPattern = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Probes and scrapes would drown out the access log at info
+const quietPaths = new Set(['/health', '/metrics']);
+
+/**
+ * Gives every request an id (X-Request-Id, generated unless the caller
+ * sent a valid one) that is echoed in the response and added to every log
+ * entry written while handling it; records the request's latency and logs
+ * it when the response finishes
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && requestIdPattern.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = routeLabel(req);
+    httpRequestDuration.observe({ method: req.method, route, status_code: res.statusCode }, seconds);
+    const level = quietPaths.has(req.path) ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+}
@@ -0,0 +1,18 @@
+/**
+ * Baseline articles table, as created by releases before migrations existed
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE IF NOT EXISTS articles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_articles_created_at ON articles (created_at);`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS articles;');
+}
@@ -0,0 +1,26 @@
+/**
+ * Topic plus draft/published/archived lifecycle columns
+ */
+const columns = [
+  ['topic', 'TEXT'],
+  ['status', "TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published', 'archived'))"],
+  ['published_at', 'DATETIME'],
+  // ALTER TABLE cannot add a CURRENT_TIMESTAMP default, so rows are backfilled below
+  ['updated_at', 'DATETIME']
+];
+
+export async function up({ exec }) {
+  for (const [column, definition] of columns) {
+    await exec(`ALTER TABLE articles ADD COLUMN ${column} ${definition};`);
+  }
+  await exec(
+    `UPDATE articles SET published_at = created_at WHERE status = 'published' AND published_at IS NULL;
+    UPDATE articles SET updated_at = created_at WHERE updated_at IS NULL;`
+  );
+}
+
+export async function down({ exec }) {
+  for (const [column] of [...columns].reverse()) {
+    await exec(`ALTER TABLE articles DROP COLUMN ${column};`);
+  }
+}
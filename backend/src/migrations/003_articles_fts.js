@@ -0,0 +1,34 @@
+/**
+ * FTS5 index over article titles and content, kept in sync by triggers
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+      title,
+      content,
+      content='articles',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    );
+    CREATE TRIGGER IF NOT EXISTS articles_fts_insert AFTER INSERT ON articles BEGIN
+      INSERT INTO articles_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+    END;
+    CREATE TRIGGER IF NOT EXISTS articles_fts_delete AFTER DELETE ON articles BEGIN
+      INSERT INTO articles_fts (articles_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+    END;
+    CREATE TRIGGER IF NOT EXISTS articles_fts_update AFTER UPDATE OF title, content ON articles BEGIN
+      INSERT INTO articles_fts (articles_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+      INSERT INTO articles_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+    END;
+    INSERT INTO articles_fts (articles_fts) VALUES ('rebuild');`
+  );
+}
+
+export async function down({ exec }) {
+  await exec(
+    `DROP TRIGGER IF EXISTS articles_fts_update;
+    DROP TRIGGER IF EXISTS articles_fts_delete;
+    DROP TRIGGER IF EXISTS articles_fts_insert;
+    DROP TABLE IF EXISTS articles_fts;`
+  );
+}
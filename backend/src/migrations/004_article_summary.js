@@ -0,0 +1,10 @@
+/**
+ * One- or two-sentence summary returned by structured generation
+ */
+export async function up({ exec }) {
+  await exec('ALTER TABLE articles ADD COLUMN summary TEXT;');
+}
+
+export async function down({ exec }) {
+  await exec('ALTER TABLE articles DROP COLUMN summary;');
+}
@@ -0,0 +1,23 @@
+/**
+ * Editorial topic backlog consumed by the scheduled generation job
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE topics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      notes TEXT,
+      priority INTEGER NOT NULL DEFAULT 0,
+      scheduled_for DATE,
+      used_at DATETIME,
+      article_id INTEGER REFERENCES articles (id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_topics_unused ON topics (used_at, scheduled_for, priority);`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS topics;');
+}
@@ -0,0 +1,43 @@
+import { isValidCronExpression } from '../services/scheduleService.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_CRON_SCHEDULE = '0 3 * * *';
+
+/**
+ * Named generation schedules, replacing the single CRON_SCHEDULE env var
+ * The existing CRON_SCHEDULE (or the old default) becomes the "daily" schedule;
+ * an invalid CRON_SCHEDULE falls back to the default, since a stored
+ * expression that does not parse would break listing and starting schedules
+ */
+export async function up({ exec, run }) {
+  await exec(
+    `CREATE TABLE schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      cron_expression TEXT NOT NULL,
+      timezone TEXT,
+      topic_pool TEXT NOT NULL DEFAULT '[]',
+      model TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      run_count INTEGER NOT NULL DEFAULT 0,
+      last_run_at DATETIME,
+      last_job_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );`
+  );
+
+  let cronExpression = process.env.CRON_SCHEDULE || DEFAULT_CRON_SCHEDULE;
+  if (!isValidCronExpression(cronExpression)) {
+    logger.warn('CRON_SCHEDULE is not a valid cron expression; seeding the daily schedule with the default', {
+      cronSchedule: cronExpression,
+      default: DEFAULT_CRON_SCHEDULE
+    });
+    cronExpression = DEFAULT_CRON_SCHEDULE;
+  }
+  await run('INSERT INTO schedules (name, cron_expression) VALUES (?, ?)', ['daily', cronExpression]);
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS schedules;');
+}
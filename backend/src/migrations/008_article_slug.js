@@ -0,0 +1,44 @@
+// Frozen copies of services/slug.js as this migration first ran, so later
+// changes there cannot alter how existing databases are backfilled
+function slugify(text, maxLength = 80) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+function uniqueSlug(base, isTaken) {
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    if (!isTaken(candidate)) return candidate;
+  }
+}
+
+/**
+ * Unique, URL-safe slug per article for permalinks (/articles/:slug)
+ * Existing articles are backfilled from their titles, oldest first, so the
+ * earliest article keeps the unsuffixed slug
+ */
+export async function up({ exec, run, all }) {
+  await exec('ALTER TABLE articles ADD COLUMN slug TEXT;');
+
+  const taken = new Set();
+  const rows = await all('SELECT id, title FROM articles ORDER BY created_at, id');
+  for (const row of rows) {
+    const slug = uniqueSlug(slugify(row.title) || `article-${row.id}`, candidate => taken.has(candidate));
+    taken.add(slug);
+    await run('UPDATE articles SET slug = ? WHERE id = ?', [slug, row.id]);
+  }
+
+  await exec('CREATE UNIQUE INDEX idx_articles_slug ON articles(slug);');
+}
+
+export async function down({ exec }) {
+  await exec(
+    `DROP INDEX IF EXISTS idx_articles_slug;
+    ALTER TABLE articles DROP COLUMN slug;`
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * API keys for the admin/editor/reader roles
+ * Only a SHA-256 hash of each key is stored; `key_prefix` identifies a key in listings
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('reader', 'editor', 'admin')),
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    );`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS api_keys;');
+}
@@ -0,0 +1,17 @@
+/**
+ * LLM call counters per UTC period ('day:YYYY-MM-DD', 'month:YYYY-MM')
+ * backing the daily and monthly generation budget
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE llm_usage (
+      period TEXT PRIMARY KEY,
+      calls INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS llm_usage;');
+}
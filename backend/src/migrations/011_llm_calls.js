@@ -0,0 +1,36 @@
+/**
+ * Ledger of outgoing LLM calls: one row per model attempt, plus a
+ * 'fallback' row when a generation ended with template text
+ * `generation_id` groups the attempts of one article generation and
+ * `article_id` links them to the article they produced
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE llm_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      generation_id TEXT NOT NULL,
+      article_id INTEGER REFERENCES articles (id) ON DELETE SET NULL,
+      purpose TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      attempt_index INTEGER,
+      status TEXT NOT NULL CHECK (status IN ('success', 'empty', 'error', 'fallback')),
+      http_status INTEGER,
+      latency_ms INTEGER,
+      prompt_tokens INTEGER,
+      completion_tokens INTEGER,
+      total_tokens INTEGER,
+      cost_usd REAL,
+      error_class TEXT,
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_llm_calls_created_at ON llm_calls (created_at);
+    CREATE INDEX idx_llm_calls_generation ON llm_calls (generation_id);
+    CREATE INDEX idx_llm_calls_article ON llm_calls (article_id);`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS llm_calls;');
+}
@@ -0,0 +1,45 @@
+/**
+ * Provenance of each article: where it came from (ai, fallback template,
+ * manual entry or seed data), the model and prompt version that produced it
+ * and its generation id in the LLM call ledger
+ */
+const columns = [
+  ['source', "TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'fallback', 'manual', 'seed'))"],
+  ['model', 'TEXT'],
+  ['prompt_version', 'TEXT'],
+  ['generation_id', 'TEXT']
+];
+
+// Titles of the sample articles inserted on first run
+const seedTitles = [
+  'Building Product-Led Growth in B2B SaaS',
+  'Decentralized Storage Networks: The Foundation of Web3 Infrastructure',
+  'Customer Success Metrics That Drive B2B SaaS Retention'
+];
+
+export async function up({ exec, run }) {
+  for (const [column, definition] of columns) {
+    await exec(`ALTER TABLE articles ADD COLUMN ${column} ${definition};`);
+  }
+
+  // Best-effort backfill: seed titles, template fallback titles, and the
+  // ledger for articles generated since it exists
+  await run(`UPDATE articles SET source = 'seed' WHERE title IN (${seedTitles.map(() => '?').join(', ')})`, seedTitles);
+  await exec(
+    `UPDATE articles SET source = 'fallback' WHERE title LIKE 'Fallback article on %';
+    UPDATE articles SET
+      generation_id = (SELECT generation_id FROM llm_calls WHERE llm_calls.article_id = articles.id ORDER BY id LIMIT 1),
+      model = (
+        SELECT model FROM llm_calls
+        WHERE llm_calls.article_id = articles.id AND status = 'success'
+        ORDER BY id LIMIT 1
+      )
+    WHERE source IN ('ai', 'fallback');`
+  );
+}
+
+export async function down({ exec }) {
+  for (const [column] of [...columns].reverse()) {
+    await exec(`ALTER TABLE articles DROP COLUMN ${column};`);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Alternative and past versions of each article
+ * 'candidate' rows are regenerated versions waiting for an editor to pick
+ * one; 'snapshot' rows keep an article's previous text whenever it is
+ * replaced, by an edit or by a selected revision
+ * `job_id` groups the candidates of one regeneration request
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE article_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      article_id INTEGER NOT NULL REFERENCES articles (id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('candidate', 'snapshot')),
+      job_id INTEGER,
+      title TEXT NOT NULL,
+      summary TEXT,
+      content TEXT NOT NULL,
+      source TEXT NOT NULL,
+      model TEXT,
+      prompt_version TEXT,
+      generation_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      selected_at DATETIME
+    );
+    CREATE INDEX idx_article_revisions_article ON article_revisions (article_id, id);`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS article_revisions;');
+}
@@ -0,0 +1,26 @@
+/**
+ * Quality gate results: one row per evaluated generation, kept for
+ * rejected and retried generations too, which never become articles
+ * `issues` is a JSON array of { rule, message }; `metrics` a JSON object
+ */
+export async function up({ exec }) {
+  await exec(
+    `CREATE TABLE quality_checks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      generation_id TEXT,
+      article_id INTEGER REFERENCES articles (id) ON DELETE SET NULL,
+      topic TEXT,
+      passed INTEGER NOT NULL,
+      outcome TEXT NOT NULL CHECK (outcome IN ('passed', 'draft', 'retry', 'reject')),
+      issues TEXT NOT NULL DEFAULT '[]',
+      metrics TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_quality_checks_article ON quality_checks (article_id);
+    CREATE INDEX idx_quality_checks_created_at ON quality_checks (created_at);`
+  );
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS quality_checks;');
+}
@@ -0,0 +1,76 @@
+// Frozen copies of the tagService.js (and slug.js) helpers as this migration
+// first ran, so later changes there cannot alter the backfill
+const TAG_MAX_LENGTH = 40;
+const domainTags = [
+  {
+    name: 'b2b saas',
+    keywords: ['saas', 'b2b', 'customer', 'retention', 'churn', 'pricing', 'subscription', 'product-led', 'go-to-market']
+  },
+  {
+    name: 'web3 infrastructure',
+    keywords: ['web3', 'blockchain', 'decentrali', 'smart contract', 'defi', 'dao', 'validator', 'on-chain', 'protocol']
+  }
+];
+
+function slugify(text, maxLength) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+function normalizeTag(name) {
+  const normalized = String(name || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, TAG_MAX_LENGTH);
+  const slug = slugify(normalized, TAG_MAX_LENGTH);
+  return slug ? { name: normalized, slug } : null;
+}
+
+function domainTagFor(text) {
+  const lowered = String(text || '').toLowerCase();
+  const [best] = domainTags
+    .map(tag => ({ name: tag.name, score: tag.keywords.filter(keyword => lowered.includes(keyword)).length }))
+    .sort((a, b) => b.score - a.score);
+  return best.score > 0 ? best.name : null;
+}
+
+/**
+ * Tag taxonomy: `tags` holds each tag once (looked up by slug) and
+ * `article_tags` links them to articles
+ * Existing articles are backfilled with their domain tag (b2b saas or
+ * web3 infrastructure), the two categories the generation prompt allows
+ */
+export async function up({ exec, run, all }) {
+  await exec(
+    `CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      slug TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE article_tags (
+      article_id INTEGER NOT NULL REFERENCES articles (id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+      PRIMARY KEY (article_id, tag_id)
+    );
+    CREATE INDEX idx_article_tags_tag ON article_tags (tag_id);`
+  );
+
+  const rows = await all('SELECT id, title, topic, summary, content FROM articles');
+  for (const row of rows) {
+    const tag = normalizeTag(domainTagFor([row.title, row.topic, row.summary, row.content].filter(Boolean).join(' ')));
+    if (!tag) continue;
+    await run('INSERT INTO tags (name, slug) VALUES (?, ?) ON CONFLICT (slug) DO NOTHING', [tag.name, tag.slug]);
+    await run('INSERT INTO article_tags (article_id, tag_id) SELECT ?, id FROM tags WHERE slug = ?', [row.id, tag.slug]);
+  }
+}
+
+export async function down({ exec }) {
+  await exec('DROP TABLE IF EXISTS article_tags; DROP TABLE IF EXISTS tags;');
+}
@@ -0,0 +1,67 @@
+// Frozen copy of promptService.js's DEFAULT_PROMPT_TEMPLATE as this
+// migration first ran, so later edits to the built-in prompt cannot change
+// what article-json v1 holds
+const ARTICLE_JSON_V1 = {
+  name: 'article-json',
+  version: 1,
+  system_template:
+    'You are a {{tone}} blog writer specializing in B2B SaaS and open-source Web3 infrastructure topics. Write short markdown articles (<={{word_limit}} words) with a title and a few paragraphs. Focus exclusively on topics related to B2B SaaS (product-led growth, customer success, pricing strategies, go-to-market, retention, etc.) or open-source Web3 infrastructure (blockchain networks, decentralized storage, smart contracts, DeFi protocols, DAOs, etc.). ' +
+    'Reply with a single JSON object and nothing else - no preamble, no code fences. ' +
+    'It must match this JSON Schema: {{schema}}. ' +
+    '"body_markdown" holds the article body in markdown without the title heading; "summary" is one or two sentences; "tags" are 1-5 short lowercase topics.',
+  user_template:
+    'Write a {{tone}} blog post about "{{topic}}". The article must focus on B2B SaaS or open-source Web3 infrastructure topics. The body should be 2-4 short paragraphs. Do not write about general engineering productivity, software development practices, or generic tech topics - only B2B SaaS or Web3 infrastructure.',
+  variables: {
+    word_limit: 250,
+    audience: 'B2B SaaS and open-source Web3 infrastructure teams',
+    tone: 'concise'
+  }
+};
+
+/**
+ * Versioned prompt templates: each (name, version) row is immutable and at
+ * most one is active; articles keep its label (name-vN) in prompt_version
+ * The prompt that used to be hard-coded is seeded as the active
+ * article-json v1, the label earlier articles already carry
+ * Quality checks record the prompt version too, so rejected generations
+ * count towards their version's pass rate
+ */
+export async function up({ exec, run }) {
+  await exec(
+    `CREATE TABLE prompt_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      system_template TEXT NOT NULL,
+      user_template TEXT NOT NULL,
+      variables TEXT NOT NULL DEFAULT '{}',
+      notes TEXT,
+      is_active INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      activated_at DATETIME,
+      UNIQUE (name, version)
+    );
+    ALTER TABLE quality_checks ADD COLUMN prompt_version TEXT;
+    CREATE INDEX idx_articles_prompt_version ON articles (prompt_version);`
+  );
+
+  const { name, version, system_template, user_template, variables } = ARTICLE_JSON_V1;
+  await run(
+    `INSERT INTO prompt_templates (name, version, system_template, user_template, variables, notes, is_active, activated_at)
+    VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)`,
+    [name, version, system_template, user_template, JSON.stringify(variables), 'Built-in prompt']
+  );
+  await run(
+    `UPDATE quality_checks SET prompt_version = (
+      SELECT prompt_version FROM articles WHERE articles.generation_id = quality_checks.generation_id
+    )`
+  );
+}
+
+export async function down({ exec }) {
+  await exec(
+    `DROP INDEX IF EXISTS idx_articles_prompt_version;
+    ALTER TABLE quality_checks DROP COLUMN prompt_version;
+    DROP TABLE IF EXISTS prompt_templates;`
+  );
+}
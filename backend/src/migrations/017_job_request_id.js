@@ -0,0 +1,11 @@
+/**
+ * Id of the HTTP request that queued a job (X-Request-Id), so the
+ * worker's log entries for it can be traced back to that request
+ */
+export async function up({ exec }) {
+  await exec('ALTER TABLE jobs ADD COLUMN request_id TEXT;');
+}
+
+export async function down({ exec }) {
+  await exec('ALTER TABLE jobs DROP COLUMN request_id;');
+}
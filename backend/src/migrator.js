@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import db from './db.js';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationsDir = path.join(__dirname, 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function runCallback(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Helpers handed to each migration's up()/down()
+const migrationContext = { exec, run, all };
+
+function ensureMigrationsTable() {
+  return exec(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );`
+  );
+}
+
+/**
+ * Reads migration files (NNN_name.js) from ./migrations, ordered by version
+ */
+function loadMigrationFiles() {
+  return fs
+    .readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(migrationFilePattern);
+      if (!match) return null;
+      return { version: Number(match[1]), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function importMigration(migration) {
+  const module = await import(pathToFileURL(path.join(migrationsDir, migration.file)).href);
+  if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+    throw new Error(`Migration ${migration.file} must export up() and down()`);
+  }
+  return module;
+}
+
+async function appliedVersions() {
+  const rows = await all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Runs one migration step and its bookkeeping in a single transaction
+ * BEGIN IMMEDIATE takes the write lock up front, so containers sharing the
+ * database file wait for each other (busyTimeout) instead of racing
+ * Resolves to what `step` resolves to
+ */
+async function applyInTransaction(step) {
+  await exec('BEGIN IMMEDIATE;');
+  try {
+    const result = await step();
+    await exec('COMMIT;');
+    return result;
+  } catch (err) {
+    await exec('ROLLBACK;').catch(() => {});
+    throw err;
+  }
+}
+
+async function isApplied(version) {
+  const rows = await all('SELECT 1 FROM schema_migrations WHERE version = ?', [version]);
+  return rows.length > 0;
+}
+
+/**
+ * Applies every pending migration in version order
+ * Each one is checked again inside its transaction and skipped when another
+ * process applied it meanwhile (containers migrating the same file at boot)
+ * Resolves to the list of migrations that were applied
+ */
+export async function migrateUp() {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  const pending = loadMigrationFiles().filter(m => !applied.has(m.version));
+
+  const appliedNow = [];
+  for (const migration of pending) {
+    const { up } = await importMigration(migration);
+    const ran = await applyInTransaction(async () => {
+      if (await isApplied(migration.version)) return false;
+      logger.info('Applying migration', { migration: migration.file });
+      await up(migrationContext);
+      await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+        migration.version,
+        migration.name
+      ]);
+      return true;
+    });
+    if (ran) appliedNow.push(migration);
+  }
+  return appliedNow;
+}
+
+/**
+ * Rolls back the most recently applied migrations, newest first
+ * Resolves to the list of migrations that were reverted
+ */
+export async function rollback(steps = 1) {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  const files = new Map(loadMigrationFiles().map(m => [m.version, m]));
+  const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+  const reverted = [];
+  for (const version of targets) {
+    const migration = files.get(version);
+    if (!migration) {
+      throw new Error(`Cannot roll back version ${version}: migration file is missing`);
+    }
+    const { down } = await importMigration(migration);
+    logger.info('Reverting migration', { migration: migration.file });
+    await applyInTransaction(async () => {
+      await down(migrationContext);
+      await run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    reverted.push(migration);
+  }
+  return reverted;
+}
+
+/**
+ * Lists known migrations with their applied state
+ * Versions recorded in the database without a matching file are reported as missing
+ */
+export async function migrationStatus() {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  const files = loadMigrationFiles();
+
+  const status = files.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    appliedAt: applied.get(m.version)?.applied_at || null
+  }));
+  for (const [version, row] of applied) {
+    if (!files.some(m => m.version === version)) {
+      status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
@@ -1,47 +1,541 @@
 import { Router } from 'express';
-import { listArticles, getArticle, createArticle } from '../services/articleService.js';
-import { testOpenRouterConnection } from '../services/aiClient.js';
+import {
+  listArticles,
+  searchArticles,
+  buildSearchQuery,
+  getArticle,
+  getArticleBySlug,
+  createArticle,
+  createManualArticle,
+  updateArticle,
+  applyRevision,
+  deleteArticle,
+  ARTICLE_STATUSES,
+  ARTICLE_SOURCES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} from '../services/articleService.js';
+import { listCandidateModels, runAIDiagnostics } from '../services/aiClient.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { GENERATE_ARTICLE_JOB, REGENERATE_ARTICLE_JOB } from '../services/articleJob.js';
+import { diffRevisions, getRevision, listRevisions, REVISION_KINDS } from '../services/revisionService.js';
+import { renderMarkdown } from '../services/markdown.js';
+import { listQualityChecks } from '../services/qualityGate.js';
+import { MAX_TAGS_PER_ARTICLE, TAG_MAX_LENGTH } from '../services/tagService.js';
+import { hasRole } from '../services/authService.js';
+import { requireRole } from '../middleware/auth.js';
+import { generationRateLimit, sendTooManyRequests } from '../middleware/rateLimit.js';
+import { assertLlmBudget, BudgetExceededError, getBudgetStatus } from '../services/budgetService.js';
+import { logger } from '../logger.js';
 
 const router = Router();
 
-router.get('/', async (_req, res) => {
+// Candidates per regeneration request; each one is a full generation
+const DEFAULT_CANDIDATES = 3;
+const MAX_CANDIDATES = 5;
+// Comment lines sent on idle streams so proxies do not drop the connection
+const STREAM_HEARTBEAT_MS = 15_000;
+
+/**
+ * Reads page/limit query params, clamping them to sane bounds
+ */
+function parsePagination(query) {
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  return { page, limit };
+}
+
+/**
+ * Converts a from/to query value into SQLite's UTC datetime format
+ * Date-only upper bounds are widened to the end of that day
+ * Returns undefined when absent and null when the value is not a date
+ */
+function parseDateBound(value, { endOfDay = false } = {}) {
+  if (!value) return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Sets X-Total-Count and an RFC 8288 Link header (first/prev/next/last)
+ */
+function setPaginationHeaders(req, res, { page, limit, total }) {
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  const linkFor = (targetPage, rel) => {
+    const params = new URLSearchParams({ ...req.query, page: String(targetPage), limit: String(limit) });
+    return `<${baseUrl}?${params}>; rel="${rel}"`;
+  };
+
+  const links = [linkFor(1, 'first')];
+  if (page > 1) links.push(linkFor(Math.min(page - 1, lastPage), 'prev'));
+  if (page < lastPage) links.push(linkFor(page + 1, 'next'));
+  links.push(linkFor(lastPage, 'last'));
+
+  res.set('X-Total-Count', String(total));
+  res.set('Link', links.join(', '));
+}
+
+/**
+ * Validates an article payload. POST and PUT (partial: false) require title and content;
+ * PATCH accepts any subset of title, summary, content, topic, status and tags
+ * Returns { changes, errors }
+ */
+function parseArticleChanges(body, { partial }) {
+  const input = body || {};
+  const changes = {};
+  const errors = [];
+
+  for (const field of ['title', 'content']) {
+    const value = input[field];
+    if (value === undefined) {
+      if (!partial) errors.push(`${field} is required`);
+    } else if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    } else {
+      changes[field] = value.trim();
+    }
+  }
+
+  for (const field of ['summary', 'topic']) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    } else {
+      changes[field] = input[field]?.trim() || null;
+    }
+  }
+
+  if (input.tags !== undefined) {
+    const valid =
+      Array.isArray(input.tags) &&
+      input.tags.length <= MAX_TAGS_PER_ARTICLE &&
+      input.tags.every(t => typeof t === 'string' && t.trim() && t.trim().length <= TAG_MAX_LENGTH);
+    if (!valid) {
+      errors.push(`tags must be an array of at most ${MAX_TAGS_PER_ARTICLE} strings of 1-${TAG_MAX_LENGTH} characters`);
+    } else {
+      changes.tags = input.tags.map(t => t.trim());
+    }
+  }
+
+  if (input.status !== undefined) {
+    if (!ARTICLE_STATUSES.includes(input.status)) {
+      errors.push(`status must be one of: ${ARTICLE_STATUSES.join(', ')}`);
+    } else {
+      changes.status = input.status;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push('No editable fields provided');
+  }
+  return { changes, errors };
+}
+
+/**
+ * Validates a regeneration request: `count` candidates (1-MAX_CANDIDATES),
+ * generated with `models` in rotation, or with the provider's candidate
+ * models when `across_models` is true
+ * Returns { options: { count, models }, errors }
+ */
+function parseRegenerateRequest(body) {
+  const input = body || {};
+  const errors = [];
+  const options = { count: DEFAULT_CANDIDATES, models: [] };
+
+  if (input.count !== undefined) {
+    if (!Number.isInteger(input.count) || input.count < 1 || input.count > MAX_CANDIDATES) {
+      errors.push(`count must be an integer from 1 to ${MAX_CANDIDATES}`);
+    } else {
+      options.count = input.count;
+    }
+  }
+
+  if (input.models !== undefined && input.across_models !== undefined) {
+    errors.push('models and across_models cannot be combined');
+  } else if (input.models !== undefined) {
+    const valid = Array.isArray(input.models) && input.models.every(m => typeof m === 'string' && m.trim());
+    if (!valid) {
+      errors.push('models must be an array of non-empty strings');
+    } else {
+      options.models = input.models.map(m => m.trim());
+    }
+  } else if (input.across_models !== undefined) {
+    if (typeof input.across_models !== 'boolean') {
+      errors.push('across_models must be a boolean');
+    } else if (input.across_models) {
+      options.models = listCandidateModels().slice(0, options.count);
+    }
+  }
+  return { options, errors };
+}
+
+/**
+ * Drafts and archived articles are only listed for signed-in callers
+ */
+function guardUnpublishedListing(req, res, next) {
+  const status = req.query.status || 'published';
+  if (status === 'published') return next();
+  return requireRole('reader')(req, res, next);
+}
+
+/**
+ * Unpublished articles look missing to anonymous readers
+ */
+function isVisible(article, principal) {
+  return article.status === 'published' || hasRole(principal, 'reader');
+}
+
+router.get('/', guardUnpublishedListing, async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const from = parseDateBound(req.query.from);
+  const to = parseDateBound(req.query.to, { endOfDay: true });
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Invalid date range', details: 'from/to must be ISO 8601 dates' });
+  }
+  const view = req.query.view === 'summary' ? 'summary' : 'full';
+  const status = req.query.status || 'published';
+  if (status !== 'all' && !ARTICLE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      details: `status must be one of: ${ARTICLE_STATUSES.join(', ')}, all`
+    });
+  }
+  const source = req.query.source || undefined;
+  if (source !== undefined && !ARTICLE_SOURCES.includes(source)) {
+    return res.status(400).json({
+      error: 'Invalid source',
+      details: `source must be one of: ${ARTICLE_SOURCES.join(', ')}`
+    });
+  }
+
   try {
-    const articles = await listArticles();
+    const { articles, total } = await listArticles({
+      page,
+      limit,
+      from,
+      to,
+      topic: typeof req.query.topic === 'string' ? req.query.topic.trim() : undefined,
+      status,
+      source,
+      tag: typeof req.query.tag === 'string' ? req.query.tag.trim().toLowerCase() : undefined,
+      view
+    });
+    setPaginationHeaders(req, res, { page, limit, total });
     res.json(articles);
   } catch (err) {
-    console.error('Error fetching articles:', err);
+    logger.error('Error fetching articles', { err });
     res.status(500).json({ error: 'Failed to fetch articles', details: err.message });
   }
 });
 
+router.get('/search', async (req, res) => {
+  const query = buildSearchQuery(req.query.q);
+  if (!query) {
+    return res.status(400).json({ error: 'Missing search query', details: 'q must contain at least one word' });
+  }
+  const { page, limit } = parsePagination(req.query);
+
+  try {
+    const tag = typeof req.query.tag === 'string' ? req.query.tag.trim().toLowerCase() : undefined;
+    const { articles, total } = await searchArticles(query, { page, limit, tag });
+    setPaginationHeaders(req, res, { page, limit, total });
+    res.json(articles);
+  } catch (err) {
+    logger.error('Error searching articles', { err });
+    res.status(500).json({ error: 'Failed to search articles', details: err.message });
+  }
+});
+
+router.get('/by-slug/:slug', async (req, res) => {
+  try {
+    const article = await getArticleBySlug(req.params.slug);
+    if (!article || !isVisible(article, req.auth)) return res.status(404).json({ error: 'Not found' });
+    res.json(article);
+  } catch (err) {
+    logger.error('Error fetching article', { err });
+    res.status(500).json({ error: 'Failed to fetch article', details: err.message });
+  }
+});
+
 router.get('/:id', async (req, res) => {
   try {
     const article = await getArticle(req.params.id);
-    if (!article) return res.status(404).json({ error: 'Not found' });
+    if (!article || !isVisible(article, req.auth)) return res.status(404).json({ error: 'Not found' });
     res.json(article);
   } catch (err) {
-    console.error('Error fetching article:', err);
+    logger.error('Error fetching article', { err });
     res.status(500).json({ error: 'Failed to fetch article', details: err.message });
   }
 });
 
-router.post('/generate', async (req, res) => {
-  const topic = req.body?.topic || 'B2B SaaS and open-source Web3 infrastructure';
+// Hand-written articles; they start as drafts unless a status is given
+router.post('/', requireRole('editor'), async (req, res) => {
+  const { changes, errors } = parseArticleChanges(req.body, { partial: false });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid article', details: errors.join('; ') });
+  }
   try {
-    const article = await createArticle(topic);
+    const article = await createManualArticle(changes);
     res.status(201).json(article);
   } catch (err) {
-    console.error('Error generating article:', err);
-    res.status(500).json({ error: 'Failed to generate article', details: err.message });
+    logger.error('Error creating article', { err });
+    res.status(500).json({ error: 'Failed to create article', details: err.message });
+  }
+});
+
+const saveArticle = partial => async (req, res) => {
+  const { changes, errors } = parseArticleChanges(req.body, { partial });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid article', details: errors.join('; ') });
+  }
+  try {
+    const article = await updateArticle(req.params.id, changes);
+    if (!article) return res.status(404).json({ error: 'Not found' });
+    res.json(article);
+  } catch (err) {
+    logger.error('Error updating article', { err });
+    res.status(500).json({ error: 'Failed to update article', details: err.message });
+  }
+};
+
+router.put('/:id', requireRole('editor'), saveArticle(false));
+router.patch('/:id', requireRole('editor'), saveArticle(true));
+
+router.delete('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const deleted = await deleteArticle(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting article', { err });
+    res.status(500).json({ error: 'Failed to delete article', details: err.message });
+  }
+});
+
+// Quality gate results for the article's generation, newest first
+router.get('/:id/quality', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await getArticle(req.params.id);
+    if (!article) return res.status(404).json({ error: 'Not found' });
+    res.json(await listQualityChecks(article.id));
+  } catch (err) {
+    logger.error('Error fetching quality checks', { err });
+    res.status(500).json({ error: 'Failed to fetch quality checks', details: err.message });
+  }
+});
+
+// Queues `count` alternative versions of the article as candidate revisions
+router.post('/:id/regenerate', requireRole('editor'), generationRateLimit, async (req, res) => {
+  const { options, errors } = parseRegenerateRequest(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid regeneration request', details: errors.join('; ') });
+  }
+  try {
+    const article = await getArticle(req.params.id);
+    if (!article) return res.status(404).json({ error: 'Not found' });
+    if (!article.topic) {
+      return res.status(409).json({ error: 'Article has no topic', details: 'Set a topic before regenerating' });
+    }
+    await assertLlmBudget();
+    const job = await enqueueJob(REGENERATE_ARTICLE_JOB, { articleId: article.id, ...options, trigger: 'api' });
+    const statusUrl = `${req.protocol}://${req.get('host')}/api/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({ jobId: job.id, status: job.status, statusUrl });
+  } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return sendTooManyRequests(res, {
+        retryAfterSeconds: err.retryAfterSeconds,
+        error: 'Generation budget exhausted',
+        details: err.message
+      });
+    }
+    logger.error('Error queueing article regeneration', { err });
+    res.status(500).json({ error: 'Failed to queue article regeneration', details: err.message });
+  }
+});
+
+router.get('/:id/revisions', requireRole('editor'), async (req, res) => {
+  const kind = req.query.kind || undefined;
+  if (kind !== undefined && !REVISION_KINDS.includes(kind)) {
+    return res.status(400).json({
+      error: 'Invalid kind',
+      details: `kind must be one of: ${REVISION_KINDS.join(', ')}`
+    });
+  }
+  try {
+    const article = await getArticle(req.params.id);
+    if (!article) return res.status(404).json({ error: 'Not found' });
+    res.json(await listRevisions(article.id, { kind }));
+  } catch (err) {
+    logger.error('Error fetching revisions', { err });
+    res.status(500).json({ error: 'Failed to fetch revisions', details: err.message });
+  }
+});
+
+router.get('/:id/revisions/:revisionId', requireRole('editor'), async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, req.params.revisionId);
+    if (!revision) return res.status(404).json({ error: 'Not found' });
+    res.json({ ...revision, content_html: renderMarkdown(revision.content).html });
+  } catch (err) {
+    logger.error('Error fetching revision', { err });
+    res.status(500).json({ error: 'Failed to fetch revision', details: err.message });
+  }
+});
+
+// Changes from the current article (or ?against=<revision id>) to the revision
+router.get('/:id/revisions/:revisionId/diff', requireRole('editor'), async (req, res) => {
+  const against = req.query.against || 'current';
+  try {
+    const [article, revision] = await Promise.all([
+      getArticle(req.params.id),
+      getRevision(req.params.id, req.params.revisionId)
+    ]);
+    if (!article || !revision) return res.status(404).json({ error: 'Not found' });
+    const base = against === 'current' ? article : await getRevision(article.id, against);
+    if (!base) return res.status(404).json({ error: 'Not found', details: `No revision ${against} for this article` });
+
+    const baseLabel = against === 'current' ? 'current' : `revision ${base.id}`;
+    res.json({
+      article_id: article.id,
+      revision_id: revision.id,
+      against: against === 'current' ? 'current' : base.id,
+      ...diffRevisions(base, revision, { baseLabel, targetLabel: `revision ${revision.id}` })
+    });
+  } catch (err) {
+    logger.error('Error diffing revision', { err });
+    res.status(500).json({ error: 'Failed to diff revision', details: err.message });
+  }
+});
+
+// Makes the revision the article's text; the replaced text is kept as a snapshot
+router.post('/:id/revisions/:revisionId/select', requireRole('editor'), async (req, res) => {
+  try {
+    const article = await applyRevision(req.params.id, req.params.revisionId);
+    if (!article) return res.status(404).json({ error: 'Not found' });
+    res.json(article);
+  } catch (err) {
+    logger.error('Error selecting revision', { err });
+    res.status(500).json({ error: 'Failed to select revision', details: err.message });
+  }
+});
+
+/**
+ * Reads the topic and optional status of a generation request
+ * Returns { topic, status, error } where error is the 400 body, if any
+ */
+function parseGenerationInput(body) {
+  const topic = body?.topic || 'B2B SaaS and open-source Web3 infrastructure';
+  const status = body?.status;
+  if (status !== undefined && !ARTICLE_STATUSES.includes(status)) {
+    return {
+      error: { error: 'Invalid status', details: `status must be one of: ${ARTICLE_STATUSES.join(', ')}` }
+    };
+  }
+  return { topic, status };
+}
+
+router.post('/generate', requireRole('editor'), generationRateLimit, async (req, res) => {
+  const { topic, status, error } = parseGenerationInput(req.body);
+  if (error) return res.status(400).json(error);
+  try {
+    // Refuse up front rather than queueing a job that would wait for the budget to reset
+    await assertLlmBudget();
+    // Generation can take minutes across model fallbacks, so it runs on the job queue
+    const job = await enqueueJob(GENERATE_ARTICLE_JOB, { topic, status, trigger: 'api' });
+    const statusUrl = `${req.protocol}://${req.get('host')}/api/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({ jobId: job.id, status: job.status, statusUrl });
+  } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return sendTooManyRequests(res, {
+        retryAfterSeconds: err.retryAfterSeconds,
+        error: 'Generation budget exhausted',
+        details: err.message
+      });
+    }
+    logger.error('Error queueing article generation', { err });
+    res.status(500).json({ error: 'Failed to queue article generation', details: err.message });
+  }
+});
+
+/**
+ * Generates an article within the request, streaming progress as
+ * server-sent events: attempt (model and attempt number), token (text as
+ * the model writes it), fallback (next model, or the template text),
+ * validation, quality, then saved with the article, or error
+ * A client that disconnects stops the events, not the generation: the
+ * article is still stored
+ */
+router.post('/generate/stream', requireRole('editor'), generationRateLimit, async (req, res) => {
+  const { topic, status, error } = parseGenerationInput(req.body);
+  if (error) return res.status(400).json(error);
+  try {
+    await assertLlmBudget();
+  } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return sendTooManyRequests(res, {
+        retryAfterSeconds: err.retryAfterSeconds,
+        error: 'Generation budget exhausted',
+        details: err.message
+      });
+    }
+    logger.error('Error checking generation budget', { err });
+    return res.status(500).json({ error: 'Failed to generate article', details: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disables response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  let open = true;
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => open && res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  send('start', { topic });
+  try {
+    const article = await createArticle(topic, { status, onEvent: ({ type, ...data }) => send(type, data) });
+    send('saved', {
+      id: article.id,
+      slug: article.slug,
+      title: article.title,
+      status: article.status,
+      source: article.source,
+      model: article.model,
+      prompt_version: article.prompt_version
+    });
+  } catch (err) {
+    logger.error('Error streaming article generation', { err });
+    send('error', {
+      error: 'Failed to generate article',
+      details: err.message,
+      ...(err instanceof BudgetExceededError ? { retryAfterSeconds: err.retryAfterSeconds } : {})
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
-router.get('/diagnostics/ai', async (_req, res) => {
+router.get('/diagnostics/ai', requireRole('admin'), async (_req, res) => {
   try {
-    const diagnostics = await testOpenRouterConnection();
-    res.json(diagnostics);
+    const diagnostics = await runAIDiagnostics();
+    res.json({ ...diagnostics, budget: await getBudgetStatus() });
   } catch (err) {
-    console.error('Error running AI diagnostics:', err);
+    logger.error('Error running AI diagnostics', { err });
     res.status(500).json({ error: 'Failed to run diagnostics', details: err.message });
   }
 });
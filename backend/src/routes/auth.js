@@ -0,0 +1,69 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { ROLES, listApiKeys, createApiKey, revokeApiKey } from '../services/authService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+/**
+ * Validates a new key payload: a name and one of the roles
+ * Returns { changes, errors }
+ */
+function parseApiKeyInput(body) {
+  const input = body || {};
+  const changes = {};
+  const errors = [];
+
+  if (typeof input.name !== 'string' || !input.name.trim()) {
+    errors.push('name must be a non-empty string');
+  } else {
+    changes.name = input.name.trim();
+  }
+  if (!ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  } else {
+    changes.role = input.role;
+  }
+  return { changes, errors };
+}
+
+// Who the presented key belongs to; the frontend uses it to validate a login
+router.get('/me', requireRole('reader'), (req, res) => {
+  res.json({ name: req.auth.name, role: req.auth.role });
+});
+
+router.get('/keys', requireRole('admin'), async (_req, res) => {
+  try {
+    res.json(await listApiKeys());
+  } catch (err) {
+    logger.error('Error fetching API keys', { err });
+    res.status(500).json({ error: 'Failed to fetch API keys', details: err.message });
+  }
+});
+
+router.post('/keys', requireRole('admin'), async (req, res) => {
+  const { changes, errors } = parseApiKeyInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid API key', details: errors.join('; ') });
+  }
+  try {
+    // The plaintext key is only ever shown in this response
+    res.status(201).json(await createApiKey(changes));
+  } catch (err) {
+    logger.error('Error creating API key', { err });
+    res.status(500).json({ error: 'Failed to create API key', details: err.message });
+  }
+});
+
+router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Not found' });
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error revoking API key', { err });
+    res.status(500).json({ error: 'Failed to revoke API key', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express, { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { ARTICLE_STATUSES } from '../services/articleService.js';
+import {
+  CONFLICT_STRATEGIES,
+  EXPORT_FORMATS,
+  CorpusImportError,
+  exportJson,
+  exportMarkdownZip,
+  importCorpus,
+  zipFiles
+} from '../services/corpusService.js';
+import { buildStaticSite } from '../services/staticSite.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+const IMPORT_LIMIT = '50mb';
+
+router.use(requireRole('admin'));
+
+// Exports are named after the day they were taken, e.g. articles-2024-05-01.zip
+const exportName = (prefix, extension) => `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/**
+ * ?format=json|markdown|site (default json) and ?status=all|draft|published|archived
+ * (default all); the site export always holds published articles only
+ */
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      details: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  const status = req.query.status || 'all';
+  if (status !== 'all' && !ARTICLE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      details: `status must be one of: ${ARTICLE_STATUSES.join(', ')}, all`
+    });
+  }
+
+  try {
+    if (format === 'json') {
+      res.attachment(exportName('articles', 'json'));
+      return res.send(JSON.stringify(await exportJson({ status }), null, 2));
+    }
+    const zip = format === 'markdown' ? await exportMarkdownZip({ status }) : await zipFiles(await buildStaticSite());
+    res.attachment(exportName(format === 'markdown' ? 'articles' : 'site', 'zip'));
+    res.send(zip);
+  } catch (err) {
+    logger.error('Error exporting articles', { err });
+    res.status(500).json({ error: 'Failed to export articles', details: err.message });
+  }
+});
+
+/**
+ * Accepts a JSON export as application/json, or a Markdown zip (or a JSON
+ * export too large for the JSON parser) as application/zip or
+ * application/octet-stream; ?on_conflict=skip|overwrite|rename (default skip)
+ */
+router.post(
+  '/import',
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: IMPORT_LIMIT }),
+  async (req, res) => {
+    const onConflict = req.query.on_conflict || 'skip';
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      return res.status(400).json({
+        error: 'Invalid on_conflict',
+        details: `on_conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}`
+      });
+    }
+    const body = Buffer.isBuffer(req.body) ? req.body : req.is('application/json') ? req.body : undefined;
+    if (body === undefined || (Buffer.isBuffer(body) && !body.length)) {
+      return res.status(400).json({
+        error: 'Missing import',
+        details: 'Send a JSON export as application/json or a Markdown zip as application/zip'
+      });
+    }
+
+    try {
+      res.json(await importCorpus(body, { onConflict }));
+    } catch (err) {
+      if (err instanceof CorpusImportError) {
+        return res.status(400).json({ error: 'Invalid import', details: err.errors.join('; ') });
+      }
+      logger.error('Error importing articles', { err });
+      res.status(500).json({ error: 'Failed to import articles', details: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { loadFeed, buildRss, buildAtom, buildJsonFeed } from '../services/feedService.js';
+import { getTag } from '../services/tagService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+const formats = {
+  '/feed.xml': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  '/atom.xml': { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  '/feed.json': { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+// Every format is served for all articles and per tag (/tags/:tag/feed.xml...)
+for (const [feedPath, { type, build }] of Object.entries(formats)) {
+  router.get([feedPath, `/tags/:tag${feedPath}`], async (req, res) => {
+    try {
+      let tag;
+      if (req.params.tag) {
+        tag = await getTag(req.params.tag.toLowerCase());
+        if (!tag) return res.status(404).json({ error: 'Not found' });
+      }
+      const feed = await loadFeed({ tag });
+      // Validators are set before the freshness check so readers polling an
+      // unchanged feed get a 304 without the body being built
+      res.set({
+        ETag: feed.etag,
+        'Last-Modified': feed.updated.toUTCString(),
+        'Cache-Control': 'public, max-age=300'
+      });
+      if (req.fresh) return res.status(304).end();
+
+      const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+      const body = build(feed, { selfUrl });
+      res.type(type).send(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+    } catch (err) {
+      logger.error('Error building feed', { err });
+      res.status(500).json({ error: 'Failed to build feed', details: err.message });
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { getJob } from '../services/jobQueue.js';
+import { requireRole } from '../middleware/auth.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+router.use(requireRole('editor'));
+
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Not found' });
+    res.json(job);
+  } catch (err) {
+    logger.error('Error fetching job', { err });
+    res.status(500).json({ error: 'Failed to fetch job', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { Router } from 'express';
+import { logger } from '../logger.js';
+import { registry } from '../services/metrics.js';
+
+const router = Router();
+
+// Optional bearer token Prometheus must send; without it /metrics is public like /health
+const metricsToken = process.env.METRICS_TOKEN || '';
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function isAuthorized(req) {
+  if (!metricsToken) return true;
+  const presented = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || '';
+  return crypto.timingSafeEqual(digest(presented), digest(metricsToken));
+}
+
+router.get('/metrics', async (req, res) => {
+  if (!isAuthorized(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (err) {
+    logger.error('Error collecting metrics', { err });
+    res.status(500).json({ error: 'Failed to collect metrics', details: err.message });
+  }
+});
+
+export default router;
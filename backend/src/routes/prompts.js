@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import {
+  PROMPT_SETTINGS,
+  listPromptTemplates,
+  getPromptTemplate,
+  getActivePromptTemplate,
+  createPromptTemplate,
+  activatePromptTemplate,
+  renderPrompt,
+  unknownPlaceholders
+} from '../services/promptService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+const NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const NAME_MAX_LENGTH = 60;
+const MAX_WORD_LIMIT = 2000;
+const PREVIEW_TOPIC = 'B2B SaaS and open-source Web3 infrastructure';
+
+router.use(requireRole('admin'));
+
+// Two templates with the same name created at once can race for the same version
+function isDuplicateVersion(err) {
+  return err?.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+}
+
+/**
+ * Validates a new template: a name, both templates and optional variables
+ * (word_limit, audience, tone), notes and activate
+ * The system template must embed {{schema}} and the user template {{topic}}
+ * Returns { changes, errors }
+ */
+function parsePromptTemplateInput(body) {
+  const input = body || {};
+  const changes = {};
+  const errors = [];
+
+  if (typeof input.name !== 'string' || !NAME_PATTERN.test(input.name) || input.name.length > NAME_MAX_LENGTH) {
+    errors.push(`name must be lowercase letters, digits and dashes (at most ${NAME_MAX_LENGTH} characters)`);
+  } else {
+    changes.name = input.name;
+  }
+
+  for (const [field, required] of [
+    ['system_template', 'schema'],
+    ['user_template', 'topic']
+  ]) {
+    const text = input[field];
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push(`${field} must be a non-empty string`);
+      continue;
+    }
+    const unknown = unknownPlaceholders(text);
+    if (unknown.length) {
+      errors.push(`${field} uses unknown variables: ${[...new Set(unknown)].join(', ')}`);
+    } else if (!new RegExp(`\\{\\{\\s*${required}\\s*\\}\\}`).test(text)) {
+      errors.push(`${field} must contain {{${required}}}`);
+    } else {
+      changes[field] = text.trim();
+    }
+  }
+
+  if (input.variables !== undefined) {
+    const variables = input.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      errors.push('variables must be an object');
+    } else {
+      const unknown = Object.keys(variables).filter(key => !PROMPT_SETTINGS.includes(key));
+      if (unknown.length) errors.push(`variables can only set: ${PROMPT_SETTINGS.join(', ')}`);
+      const { word_limit: wordLimit, audience, tone } = variables;
+      if (wordLimit !== undefined && (!Number.isInteger(wordLimit) || wordLimit < 1 || wordLimit > MAX_WORD_LIMIT)) {
+        errors.push(`variables.word_limit must be an integer between 1 and ${MAX_WORD_LIMIT}`);
+      }
+      for (const [key, value] of [
+        ['audience', audience],
+        ['tone', tone]
+      ]) {
+        if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+          errors.push(`variables.${key} must be a non-empty string`);
+        }
+      }
+      changes.variables = Object.fromEntries(
+        Object.entries(variables).map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+      );
+    }
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      errors.push('notes must be a string or null');
+    } else {
+      changes.notes = input.notes?.trim() || null;
+    }
+  }
+
+  if (input.activate !== undefined && typeof input.activate !== 'boolean') {
+    errors.push('activate must be a boolean');
+  }
+  return { changes, errors };
+}
+
+router.get('/', async (_req, res) => {
+  try {
+    res.json(await listPromptTemplates());
+  } catch (err) {
+    logger.error('Error fetching prompt templates', { err });
+    res.status(500).json({ error: 'Failed to fetch prompt templates', details: err.message });
+  }
+});
+
+router.get('/active', async (_req, res) => {
+  try {
+    const template = await getActivePromptTemplate();
+    if (!template) return res.status(404).json({ error: 'Not found' });
+    res.json(template);
+  } catch (err) {
+    logger.error('Error fetching active prompt template', { err });
+    res.status(500).json({ error: 'Failed to fetch prompt template', details: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await getPromptTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Not found' });
+    res.json(template);
+  } catch (err) {
+    logger.error('Error fetching prompt template', { err });
+    res.status(500).json({ error: 'Failed to fetch prompt template', details: err.message });
+  }
+});
+
+// The system and user prompts a template would send for `topic`
+router.get('/:id/preview', async (req, res) => {
+  const topic = typeof req.query.topic === 'string' && req.query.topic.trim() ? req.query.topic.trim() : PREVIEW_TOPIC;
+  try {
+    const template = await getPromptTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Not found' });
+    res.json(renderPrompt(template, { topic }));
+  } catch (err) {
+    logger.error('Error previewing prompt template', { err });
+    res.status(500).json({ error: 'Failed to preview prompt template', details: err.message });
+  }
+});
+
+// Stores the next version of the named template; `activate: true` also makes it live
+router.post('/', async (req, res) => {
+  const { changes, errors } = parsePromptTemplateInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid prompt template', details: errors.join('; ') });
+  }
+  try {
+    let template = await createPromptTemplate(changes);
+    if (req.body.activate) template = await activatePromptTemplate(template.id);
+    res.status(201).json(template);
+  } catch (err) {
+    if (isDuplicateVersion(err)) {
+      return res.status(409).json({ error: 'Prompt template version already exists', details: 'Retry the request' });
+    }
+    logger.error('Error creating prompt template', { err });
+    res.status(500).json({ error: 'Failed to create prompt template', details: err.message });
+  }
+});
+
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const template = await activatePromptTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Not found' });
+    res.json(template);
+  } catch (err) {
+    logger.error('Error activating prompt template', { err });
+    res.status(500).json({ error: 'Failed to activate prompt template', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,203 @@
+import { Router } from 'express';
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  nextRuns,
+  isValidCronExpression,
+  isValidTimezone
+} from '../services/scheduleService.js';
+import { reloadSchedules, runSchedule } from '../services/articleJob.js';
+import { requireRole } from '../middleware/auth.js';
+import { generationRateLimit, sendTooManyRequests } from '../middleware/rateLimit.js';
+import { assertLlmBudget, BudgetExceededError } from '../services/budgetService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+// Schedules decide how much provider quota is spent, so they are admin-only
+router.use(requireRole('admin'));
+
+const MAX_PREVIEW_RUNS = 50;
+
+/**
+ * Validates a schedule payload. Creation (partial: false) requires name and
+ * cron_expression; edits accept any subset of name, cron_expression,
+ * timezone, topic_pool, model and enabled
+ * Returns { changes, errors }
+ */
+function parseScheduleChanges(body, { partial }) {
+  const input = body || {};
+  const changes = {};
+  const errors = [];
+
+  for (const field of ['name', 'cron_expression']) {
+    const value = input[field];
+    if (value === undefined) {
+      if (!partial) errors.push(`${field} is required`);
+    } else if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    } else {
+      changes[field] = value.trim();
+    }
+  }
+  if (changes.cron_expression && !isValidCronExpression(changes.cron_expression)) {
+    errors.push(`cron_expression "${changes.cron_expression}" is not a valid cron expression`);
+  }
+
+  if (input.timezone !== undefined) {
+    if (input.timezone !== null && (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone))) {
+      errors.push('timezone must be an IANA time zone (e.g. Europe/Lisbon) or null');
+    } else {
+      changes.timezone = input.timezone || null;
+    }
+  }
+
+  if (input.topic_pool !== undefined) {
+    const valid =
+      Array.isArray(input.topic_pool) && input.topic_pool.every(t => typeof t === 'string' && t.trim());
+    if (!valid) {
+      errors.push('topic_pool must be an array of non-empty strings');
+    } else {
+      changes.topic_pool = input.topic_pool.map(t => t.trim());
+    }
+  }
+
+  if (input.model !== undefined) {
+    if (input.model !== null && typeof input.model !== 'string') {
+      errors.push('model must be a string or null');
+    } else {
+      changes.model = input.model?.trim() || null;
+    }
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      changes.enabled = input.enabled;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push('No editable fields provided');
+  }
+  return { changes, errors };
+}
+
+function isUniqueViolation(err) {
+  return err?.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+}
+
+router.get('/', async (_req, res) => {
+  try {
+    res.json(await listSchedules());
+  } catch (err) {
+    logger.error('Error fetching schedules', { err });
+    res.status(500).json({ error: 'Failed to fetch schedules', details: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) return res.status(404).json({ error: 'Not found' });
+    res.json(schedule);
+  } catch (err) {
+    logger.error('Error fetching schedule', { err });
+    res.status(500).json({ error: 'Failed to fetch schedule', details: err.message });
+  }
+});
+
+router.get('/:id/preview', async (req, res) => {
+  const count = Math.min(MAX_PREVIEW_RUNS, Math.max(1, Number.parseInt(req.query.count, 10) || 5));
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) return res.status(404).json({ error: 'Not found' });
+    res.json({
+      id: schedule.id,
+      name: schedule.name,
+      cron_expression: schedule.cron_expression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      next_runs: nextRuns(schedule.cron_expression, schedule.timezone, count)
+    });
+  } catch (err) {
+    logger.error('Error previewing schedule', { err });
+    res.status(500).json({ error: 'Failed to preview schedule', details: err.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { changes, errors } = parseScheduleChanges(req.body, { partial: false });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid schedule', details: errors.join('; ') });
+  }
+  try {
+    const schedule = await createSchedule(changes);
+    await reloadSchedules();
+    res.status(201).json(schedule);
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'Schedule name already exists', details: changes.name });
+    }
+    logger.error('Error creating schedule', { err });
+    res.status(500).json({ error: 'Failed to create schedule', details: err.message });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const { changes, errors } = parseScheduleChanges(req.body, { partial: true });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid schedule', details: errors.join('; ') });
+  }
+  try {
+    const schedule = await updateSchedule(req.params.id, changes);
+    if (!schedule) return res.status(404).json({ error: 'Not found' });
+    await reloadSchedules();
+    res.json(schedule);
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: 'Schedule name already exists', details: changes.name });
+    }
+    logger.error('Error updating schedule', { err });
+    res.status(500).json({ error: 'Failed to update schedule', details: err.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    await reloadSchedules();
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting schedule', { err });
+    res.status(500).json({ error: 'Failed to delete schedule', details: err.message });
+  }
+});
+
+// "Run now": queue a generation with this schedule's topic pool and model
+router.post('/:id/run', generationRateLimit, async (req, res) => {
+  try {
+    await assertLlmBudget();
+    const job = await runSchedule(req.params.id, { trigger: 'manual' });
+    if (!job) return res.status(404).json({ error: 'Not found' });
+    const statusUrl = `${req.protocol}://${req.get('host')}/api/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({ jobId: job.id, status: job.status, statusUrl });
+  } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return sendTooManyRequests(res, {
+        retryAfterSeconds: err.retryAfterSeconds,
+        error: 'Generation budget exhausted',
+        details: err.message
+      });
+    }
+    logger.error('Error running schedule', { err });
+    res.status(500).json({ error: 'Failed to run schedule', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { getGenerationStats } from '../services/llmLedger.js';
+import { getPromptStats } from '../services/promptService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+router.use(requireRole('editor'));
+
+/**
+ * Reads `from` and `to` (YYYY-MM-DD, UTC, inclusive; the last 30 days by
+ * default) from the query, answering 400 and resolving to null when invalid
+ */
+function parseRange(req, res) {
+  const today = new Date().toISOString().slice(0, 10);
+  const defaultFrom = new Date(Date.now() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const from = req.query.from ?? defaultFrom;
+  const to = req.query.to ?? today;
+  if (!isDate(from) || !isDate(to)) {
+    res.status(400).json({ error: 'Invalid date range', details: 'from/to must be YYYY-MM-DD dates' });
+    return null;
+  }
+  return { from, to };
+}
+
+/**
+ * LLM usage, cost and latency in the date range, by day, by model and by
+ * error class
+ */
+router.get('/generation', async (req, res) => {
+  const range = parseRange(req, res);
+  if (!range) return;
+
+  try {
+    res.json(await getGenerationStats(range));
+  } catch (err) {
+    logger.error('Error fetching generation stats', { err });
+    res.status(500).json({ error: 'Failed to fetch generation stats', details: err.message });
+  }
+});
+
+/**
+ * Articles and quality gate results in the date range by prompt version,
+ * to compare prompt templates
+ */
+router.get('/prompts', async (req, res) => {
+  const range = parseRange(req, res);
+  if (!range) return;
+
+  try {
+    res.json(await getPromptStats(range));
+  } catch (err) {
+    logger.error('Error fetching prompt stats', { err });
+    res.status(500).json({ error: 'Failed to fetch prompt stats', details: err.message });
+  }
+});
+
+export default router;
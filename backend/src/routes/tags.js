@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { listTags } from '../services/tagService.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+router.get('/', async (_req, res) => {
+  try {
+    res.json(await listTags());
+  } catch (err) {
+    logger.error('Error fetching tags', { err });
+    res.status(500).json({ error: 'Failed to fetch tags', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+import { Router } from 'express';
+import {
+  listTopics,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  findNextTopic
+} from '../services/topicService.js';
+import { requireRole } from '../middleware/auth.js';
+import { logger } from '../logger.js';
+
+const router = Router();
+
+router.use(requireRole('editor'));
+
+/**
+ * Validates a topic payload. Creation (partial: false) requires a title;
+ * edits accept any subset of title, notes, priority, scheduled_for and used
+ * Returns { changes, errors }
+ */
+function parseTopicChanges(body, { partial }) {
+  const input = body || {};
+  const changes = {};
+  const errors = [];
+
+  if (input.title === undefined) {
+    if (!partial) errors.push('title is required');
+  } else if (typeof input.title !== 'string' || !input.title.trim()) {
+    errors.push('title must be a non-empty string');
+  } else {
+    changes.title = input.title.trim();
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      errors.push('notes must be a string or null');
+    } else {
+      changes.notes = input.notes?.trim() || null;
+    }
+  }
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority)) {
+      errors.push('priority must be an integer');
+    } else {
+      changes.priority = input.priority;
+    }
+  }
+
+  if (input.scheduled_for !== undefined) {
+    const valid =
+      input.scheduled_for === null ||
+      (/^\d{4}-\d{2}-\d{2}$/.test(input.scheduled_for) && !Number.isNaN(Date.parse(input.scheduled_for)));
+    if (!valid) {
+      errors.push('scheduled_for must be a YYYY-MM-DD date or null');
+    } else {
+      changes.scheduled_for = input.scheduled_for;
+    }
+  }
+
+  if (input.used !== undefined) {
+    if (!partial) {
+      errors.push('used can only be changed on an existing topic');
+    } else if (typeof input.used !== 'boolean') {
+      errors.push('used must be a boolean');
+    } else {
+      changes.used = input.used;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push('No editable fields provided');
+  }
+  return { changes, errors };
+}
+
+router.get('/', async (req, res) => {
+  const { used } = req.query;
+  if (used !== undefined && used !== 'true' && used !== 'false') {
+    return res.status(400).json({ error: 'Invalid filter', details: 'used must be true or false' });
+  }
+  try {
+    const topics = await listTopics({ used: used === undefined ? undefined : used === 'true' });
+    res.json(topics);
+  } catch (err) {
+    logger.error('Error fetching topics', { err });
+    res.status(500).json({ error: 'Failed to fetch topics', details: err.message });
+  }
+});
+
+// Preview of the topic the next scheduled run would pick, and what it would skip
+router.get('/next', async (_req, res) => {
+  try {
+    res.json(await findNextTopic());
+  } catch (err) {
+    logger.error('Error picking next topic', { err });
+    res.status(500).json({ error: 'Failed to pick next topic', details: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const topic = await getTopic(req.params.id);
+    if (!topic) return res.status(404).json({ error: 'Not found' });
+    res.json(topic);
+  } catch (err) {
+    logger.error('Error fetching topic', { err });
+    res.status(500).json({ error: 'Failed to fetch topic', details: err.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { changes, errors } = parseTopicChanges(req.body, { partial: false });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid topic', details: errors.join('; ') });
+  }
+  try {
+    const topic = await createTopic(changes);
+    res.status(201).json(topic);
+  } catch (err) {
+    logger.error('Error creating topic', { err });
+    res.status(500).json({ error: 'Failed to create topic', details: err.message });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const { changes, errors } = parseTopicChanges(req.body, { partial: true });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid topic', details: errors.join('; ') });
+  }
+  try {
+    const topic = await updateTopic(req.params.id, changes);
+    if (!topic) return res.status(404).json({ error: 'Not found' });
+    res.json(topic);
+  } catch (err) {
+    logger.error('Error updating topic', { err });
+    res.status(500).json({ error: 'Failed to update topic', details: err.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTopic(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting topic', { err });
+    res.status(500).json({ error: 'Failed to delete topic', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import 'dotenv/config';
+import db from '../db.js';
+import {
+  ARTICLES_NOT_COVERED,
+  backupCoversArticles,
+  backupDir,
+  createBackup,
+  findBackup,
+  listBackups,
+  restoreBackup,
+  verifyBackup
+} from '../services/backupService.js';
+
+const usage = `Usage: npm run backup -- <command>
+
+Commands:
+  create                 Snapshot the database into ${backupDir}
+  list                   Show the snapshots in the manifest, newest first
+  verify [file]          Check a snapshot's checksum and integrity (default: the newest)
+  restore [file] [--at <time>] [--no-safety-backup]
+                         Replace the database with a verified snapshot: the named one, the
+                         newest taken at or before --at (ISO 8601), or the newest overall.
+                         Stop the server first; the current database is backed up before
+                         the restore unless --no-safety-backup is given`;
+
+// Splits argv into positional arguments and --name [value] options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) args.push(argv[i]);
+    else if (match[1].startsWith('no-')) options[match[1].slice(3)] = false;
+    else options[match[1]] = match[2] ?? argv[++i];
+  }
+  return { args, options };
+}
+
+async function pickSnapshot(file, at) {
+  if (file) return file;
+  const date = at === undefined ? new Date() : new Date(at);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid --at time: ${at}`);
+  const snapshot = await findBackup({ at: date });
+  if (!snapshot) throw new Error(`No snapshot taken at or before ${date.toISOString()}`);
+  return snapshot.file;
+}
+
+async function main(argv) {
+  const {
+    args: [command, file],
+    options
+  } = parseArgs(argv);
+  if (!backupCoversArticles && ['create', 'list', 'restore'].includes(command)) console.warn(`⚠️  ${ARTICLES_NOT_COVERED}`);
+  switch (command) {
+    case 'create': {
+      const snapshot = await createBackup({ reason: 'manual' });
+      console.log(`Wrote ${snapshot.file} (${snapshot.size} bytes, schema ${snapshot.schema_version})`);
+      if (snapshot.removed.length) console.log(`Rotated out ${snapshot.removed.join(', ')}`);
+      break;
+    }
+    case 'list': {
+      const snapshots = await listBackups();
+      if (!snapshots.length) console.log(`No snapshots in ${backupDir}`);
+      for (const s of snapshots) {
+        console.log(`${s.file}  ${s.created_at}  ${s.reason.padEnd(11)} ${s.size} bytes  schema ${s.schema_version}`);
+      }
+      break;
+    }
+    case 'verify': {
+      const snapshot = await verifyBackup(await pickSnapshot(file));
+      console.log(`${snapshot.file} is intact (checksum and integrity_check ok, schema ${snapshot.schema_version})`);
+      break;
+    }
+    case 'restore': {
+      const target = await pickSnapshot(file, options.at);
+      const { restored, safety, migrated } = await restoreBackup(target, { safetyBackup: options['safety-backup'] !== false });
+      if (safety) console.log(`Backed up the current database to ${safety.file}`);
+      console.log(`Restored ${restored.file} (taken ${restored.created_at})`);
+      if (migrated.length) console.log(`Applied ${migrated.length} migration(s) on top of the snapshot`);
+      break;
+    }
+    default:
+      console.log(usage);
+      process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error('❌ Backup command failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,116 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import db from '../db.js';
+import { migrateUp } from '../migrator.js';
+import { ARTICLE_STATUSES } from '../services/articleService.js';
+import { closeArticleRepository, getArticleRepository } from '../services/repositories/index.js';
+import { CONFLICT_STRATEGIES, exportJson, exportMarkdownZip, importCorpus, zipFiles } from '../services/corpusService.js';
+import { buildStaticSite } from '../services/staticSite.js';
+
+const usage = `Usage: npm run corpus -- <command>
+
+Commands:
+  export <file> [--format json|markdown] [--status all|draft|published|archived]
+                Write every article (default: all statuses) as a JSON document or a zip of Markdown files
+  import <file> [--on-conflict skip|overwrite|rename]
+                Import a JSON export or a Markdown zip (default: skip articles whose slug exists)
+  site <dir|file.zip>
+                Render the published articles as a static HTML site`;
+
+// Splits argv into positional arguments and --name value options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      args.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else {
+      options[match[1]] = argv[++i];
+    }
+  }
+  return { args, options };
+}
+
+function choice(options, name, allowed, fallback) {
+  const value = options[name] ?? fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`--${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+async function writeSite(target) {
+  const files = await buildStaticSite();
+  if (target.endsWith('.zip')) {
+    await fs.writeFile(target, await zipFiles(files));
+  } else {
+    for (const file of files) {
+      const destination = path.join(target, file.path);
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.writeFile(destination, file.content);
+    }
+  }
+  return files.length;
+}
+
+async function main(argv) {
+  const {
+    args: [command, file],
+    options
+  } = parseArgs(argv);
+  if (!['export', 'import', 'site'].includes(command) || !file) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  await migrateUp();
+  await getArticleRepository().init();
+  switch (command) {
+    case 'export': {
+      const format = choice(options, 'format', ['json', 'markdown'], file.endsWith('.zip') ? 'markdown' : 'json');
+      const status = choice(options, 'status', ['all', ...ARTICLE_STATUSES], 'all');
+      if (format === 'json') {
+        const document = await exportJson({ status });
+        await fs.writeFile(file, `${JSON.stringify(document, null, 2)}\n`);
+        console.log(`Exported ${document.articles.length} article(s) to ${file}`);
+      } else {
+        await fs.writeFile(file, await exportMarkdownZip({ status }));
+        console.log(`Exported articles to ${file}`);
+      }
+      break;
+    }
+    case 'import': {
+      const onConflict = choice(options, 'on-conflict', CONFLICT_STRATEGIES, 'skip');
+      const result = await importCorpus(await fs.readFile(file), { onConflict });
+      for (const article of result.articles) {
+        const renamed = article.original_slug ? ` (was ${article.original_slug})` : '';
+        console.log(`${article.action.padEnd(8)} ${article.id}  ${article.slug}${renamed}`);
+      }
+      console.log(
+        `Imported ${result.total} article(s): ${result.created} created, ${result.updated} updated, ` +
+          `${result.renamed} renamed, ${result.skipped} skipped`
+      );
+      break;
+    }
+    case 'site': {
+      const count = await writeSite(file);
+      console.log(`Wrote ${count} file(s) to ${file}`);
+      break;
+    }
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error('❌ Corpus command failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeArticleRepository();
+    db.close();
+  });
@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import db from '../db.js';
+import { migrateUp, rollback, migrationStatus } from '../migrator.js';
+
+const usage = `Usage: npm run migrate -- <command>
+
+Commands:
+  up            Apply all pending migrations
+  down [steps]  Roll back the last applied migration(s) (default: 1)
+  status        Show applied and pending migrations`;
+
+async function main([command = 'status', arg]) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number.parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      const reverted = await rollback(steps);
+      console.log(reverted.length ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus();
+      for (const m of status) {
+        const state = m.missing ? 'applied (file missing)' : m.applied ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+      }
+      break;
+    }
+    default:
+      console.log(usage);
+      process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error('❌ Migration command failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -1,18 +1,153 @@
 import cron from 'node-cron';
-import { createArticle } from './articleService.js';
+import { logger } from '../logger.js';
+import { createArticle, regenerateArticle } from './articleService.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { markTopicUsed, releaseTopic, takeNextTopic } from './topicService.js';
+import { getSchedule, listSchedules, recordScheduleRun } from './scheduleService.js';
+import { cronRuns } from './metrics.js';
 
-const defaultSchedule = process.env.CRON_SCHEDULE || '0 3 * * *';
+export const GENERATE_ARTICLE_JOB = 'generate_article';
+export const REGENERATE_ARTICLE_JOB = 'regenerate_article';
 
-export function startArticleJob() {
-  console.log(`Starting article cron at "${defaultSchedule}"`);
-  cron.schedule(defaultSchedule, async () => {
-    try {
-      await createArticle();
-      console.log('Daily article generated');
-    } catch (err) {
-      console.error('Daily article generation failed', err.message);
+// Live node-cron tasks, keyed by schedule id; none until startArticleJob()
+// runs, which only the leader container does (see leadership.js)
+const scheduledTasks = new Map();
+let schedulesStarted = false;
+let loadedSchedules = null;
+
+// With DATABASE_URL several containers serve the API, so a schedule edit may
+// land on a standby; the leader compares the stored schedules this often
+const scheduleSyncIntervalMs = Number(process.env.SCHEDULE_SYNC_INTERVAL_MS || 60_000);
+
+// What the running cron tasks depend on, to tell whether a reload is due
+function schedulesFingerprint(schedules) {
+  return JSON.stringify(schedules.filter(s => s.enabled).map(s => [s.id, s.name, s.cron_expression, s.timezone]));
+}
+
+// Template fallbacks count as a failed attempt so the queue retries them with
+// backoff; the final attempt keeps the fallback rather than producing nothing
+// (subject to FALLBACK_ARTICLE_POLICY). A backlog topic whose job fails for
+// good (retries used up, quality gate or fallback rejected) goes back to the
+// backlog, since takeNextTopic() marked it used when the job was queued
+registerJobHandler(
+  GENERATE_ARTICLE_JOB,
+  async ({ topic, topicId, status, model }, job) => {
+    const article = await createArticle(topic, {
+      status,
+      model,
+      allowFallback: job.attempts >= job.max_attempts
+    });
+    if (topicId) await markTopicUsed(topicId, article.id);
+    return { articleId: article.id, slug: article.slug, source: article.source, status: article.status };
+  },
+  {
+    onFailed: async ({ topic, topicId }) => {
+      if (!topicId) return;
+      if (await releaseTopic(topicId)) logger.info('Released topic back to the backlog', { topicId, topic });
     }
+  }
+);
+
+// A regeneration that produced no candidate at all (only fallbacks, or
+// candidates the quality gate rejected) is retried like any failed generation
+registerJobHandler(REGENERATE_ARTICLE_JOB, async ({ articleId, count, models }, job) => {
+  const result = await regenerateArticle(articleId, { count, models, jobId: job.id });
+  if (!result) throw new Error(`Article ${articleId} no longer exists`);
+  if (result.candidates.length === 0) {
+    throw new Error(
+      `No usable candidate out of ${count} (${result.fallbacks} fallback, ${result.rejected} rejected by the quality gate); nothing to compare`
+    );
+  }
+  return {
+    articleId,
+    revisionIds: result.candidates.map(revision => revision.id),
+    fallbacks: result.fallbacks,
+    rejected: result.rejected
+  };
+});
+
+/**
+ * Picks the topic for a schedule run: its own topic pool in rotation when
+ * it has one, otherwise the editorial backlog (null means the default topic)
+ */
+async function pickScheduleTopic(schedule) {
+  if (schedule.topic_pool.length > 0) {
+    return { title: schedule.topic_pool[schedule.run_count % schedule.topic_pool.length] };
+  }
+  return takeNextTopic();
+}
+
+/**
+ * Queues a generation job for a schedule, whether fired by cron or "run now"
+ * Resolves to the queued job, or null when the schedule no longer exists
+ */
+export async function runSchedule(scheduleId, { trigger = 'schedule' } = {}) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) return null;
+
+  const topic = await pickScheduleTopic(schedule);
+  const job = await enqueueJob(GENERATE_ARTICLE_JOB, {
+    ...(topic ? { topic: topic.title, topicId: topic.id } : {}),
+    ...(schedule.model ? { model: schedule.model } : {}),
+    scheduleId: schedule.id,
+    trigger
+  });
+  await recordScheduleRun(schedule.id, job.id);
+  logger.info('Schedule queued article generation', {
+    schedule: schedule.name,
+    queuedJobId: job.id,
+    trigger,
+    topic: topic?.title ?? null
   });
+  return job;
 }
 
+/**
+ * Replaces the running cron tasks with one per enabled schedule in the
+ * database; called at startup and after every schedule change. A no-op in
+ * containers that have not started the schedules
+ */
+export async function reloadSchedules() {
+  if (!schedulesStarted) return 0;
+  const schedules = await listSchedules();
+  loadedSchedules = schedulesFingerprint(schedules);
+  for (const task of scheduledTasks.values()) task.stop();
+  scheduledTasks.clear();
+
+  for (const schedule of schedules.filter(s => s.enabled)) {
+    const task = cron.schedule(
+      schedule.cron_expression,
+      () => {
+        const metricTask = `schedule:${schedule.name}`;
+        runSchedule(schedule.id)
+          .then(() => cronRuns.inc({ task: metricTask, outcome: 'success' }))
+          .catch(err => {
+            cronRuns.inc({ task: metricTask, outcome: 'failure' });
+            logger.error('Schedule failed to queue article generation', { schedule: schedule.name, err });
+          });
+      },
+      schedule.timezone ? { timezone: schedule.timezone } : {}
+    );
+    scheduledTasks.set(schedule.id, task);
+    logger.info('Scheduled article generation', {
+      schedule: schedule.name,
+      cron: schedule.cron_expression,
+      timezone: schedule.timezone ?? null
+    });
+  }
+  return scheduledTasks.size;
+}
 
+export async function startArticleJob() {
+  schedulesStarted = true;
+  const count = await reloadSchedules();
+  logger.info('Started article schedules', { count });
+  if (!process.env.DATABASE_URL) return;
+  setInterval(async () => {
+    try {
+      if (schedulesFingerprint(await listSchedules()) !== loadedSchedules) await reloadSchedules();
+    } catch (err) {
+      logger.error('Failed to sync article schedules', { err });
+    }
+  }, scheduleSyncIntervalMs);
+}
@@ -0,0 +1,123 @@
+/**
+ * Structured article output expected from the model, and its validation
+ */
+
+export const TITLE_MAX_LENGTH = 140;
+const SUMMARY_MAX_LENGTH = 400;
+const BODY_MIN_LENGTH = 80;
+const MAX_TAGS = 6;
+const TAG_MAX_LENGTH = 40;
+
+// Lines models like to open with before the actual article
+export const preamblePattern = /^(sure|certainly|of course|absolutely|okay|ok|here(?:'|’)?s|here is|below is)\b/i;
+
+/**
+ * JSON Schema for the model's reply, embedded in the prompt so the model
+ * sees the exact contract it is validated against
+ */
+export const articleJsonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'summary', 'body_markdown', 'tags'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: TITLE_MAX_LENGTH },
+    summary: { type: 'string', minLength: 1, maxLength: SUMMARY_MAX_LENGTH },
+    body_markdown: { type: 'string', minLength: BODY_MIN_LENGTH },
+    tags: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_TAGS,
+      items: { type: 'string', minLength: 1, maxLength: TAG_MAX_LENGTH }
+    }
+  }
+};
+
+/**
+ * Pulls a JSON object out of a model reply, tolerating code fences and
+ * chatter before or after the object
+ * Returns the parsed value, or throws when no JSON object can be parsed
+ */
+export function extractJson(text) {
+  const unfenced = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in the reply');
+  }
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+function checkString(errors, value, field, { minLength, maxLength }) {
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be a string`);
+    return;
+  }
+  const length = value.trim().length;
+  if (length < minLength) errors.push(`${field} must be at least ${minLength} characters`);
+  if (maxLength && length > maxLength) errors.push(`${field} must be at most ${maxLength} characters`);
+}
+
+/**
+ * Validates a parsed reply against articleJsonSchema
+ * Returns a list of human-readable problems (empty when valid)
+ */
+export function validateArticlePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['reply must be a JSON object'];
+  }
+
+  const errors = [];
+  const { properties, required } = articleJsonSchema;
+
+  for (const field of required) {
+    if (payload[field] === undefined) errors.push(`${field} is required`);
+  }
+  for (const field of Object.keys(payload)) {
+    if (!properties[field]) errors.push(`unexpected property ${field}`);
+  }
+
+  if (payload.title !== undefined) checkString(errors, payload.title, 'title', properties.title);
+  if (payload.summary !== undefined) checkString(errors, payload.summary, 'summary', properties.summary);
+  if (payload.body_markdown !== undefined) {
+    checkString(errors, payload.body_markdown, 'body_markdown', properties.body_markdown);
+  }
+
+  if (payload.tags !== undefined) {
+    const { minItems, maxItems, items } = properties.tags;
+    if (!Array.isArray(payload.tags)) {
+      errors.push('tags must be an array');
+    } else {
+      if (payload.tags.length < minItems) errors.push(`tags must have at least ${minItems} item(s)`);
+      if (payload.tags.length > maxItems) errors.push(`tags must have at most ${maxItems} items`);
+      payload.tags.forEach((tag, index) => checkString(errors, tag, `tags[${index}]`, items));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parses and validates a model reply
+ * Returns { article, errors }; `article` is normalized and only set when valid
+ */
+export function parseStructuredArticle(text) {
+  let payload;
+  try {
+    payload = extractJson(text);
+  } catch (err) {
+    return { article: null, errors: [`invalid JSON: ${err.message}`] };
+  }
+
+  const errors = validateArticlePayload(payload);
+  if (errors.length) return { article: null, errors };
+
+  return {
+    article: {
+      title: payload.title.trim().replace(/^#+\s*/, ''),
+      summary: payload.summary.trim(),
+      content: payload.body_markdown.trim(),
+      tags: [...new Set(payload.tags.map(tag => tag.trim().toLowerCase()))]
+    },
+    errors: []
+  };
+}
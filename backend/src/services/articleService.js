@@ -1,76 +1,468 @@
-import db from '../db.js';
 import { generateArticle } from './aiClient.js';
+import { logger } from '../logger.js';
+import { renderMarkdown } from './markdown.js';
+import { slugify, uniqueSlug } from './slug.js';
+import { linkGenerationToArticle, unlinkArticleCalls } from './llmLedger.js';
+import { BudgetExceededError } from './budgetService.js';
+import { autoTags, setArticleTags } from './tagService.js';
+import { createRevision, deleteRevisions, getRevision, markRevisionSelected, snapshotArticle } from './revisionService.js';
+import { unlinkTopicArticle } from './topicService.js';
+import {
+  getArticleRepository,
+  HIGHLIGHT_CLOSE,
+  HIGHLIGHT_OPEN,
+  SlugTakenError,
+  toArticleId
+} from './repositories/index.js';
+import {
+  evaluateArticle,
+  qualityAction,
+  qualityRetryAttempts,
+  QualityGateError,
+  recordQualityCheck,
+  unlinkQualityChecks
+} from './qualityGate.js';
 
-function seedIfEmpty() {
-  db.get('SELECT COUNT(*) AS count FROM articles', (err, row) => {
-    if (err) {
-      console.error('Seed check failed', err);
-      return;
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export const ARTICLE_STATUSES = ['draft', 'published', 'archived'];
+export const ARTICLE_SOURCES = ['ai', 'fallback', 'manual', 'seed'];
+export const FALLBACK_POLICIES = ['publish', 'draft', 'reject'];
+// Status given to AI-generated articles unless the caller asks for another one
+const defaultGeneratedStatus = ARTICLE_STATUSES.includes(process.env.GENERATED_ARTICLE_STATUS)
+  ? process.env.GENERATED_ARTICLE_STATUS
+  : 'published';
+// What happens to template fallback text once generation has given up:
+// stored as requested (publish), held as a draft for review, or rejected
+const fallbackPolicy = FALLBACK_POLICIES.includes(process.env.FALLBACK_ARTICLE_POLICY)
+  ? process.env.FALLBACK_ARTICLE_POLICY
+  : 'draft';
+
+/**
+ * Inserts the sample articles when the table is empty
+ * Runs at startup, after migrations have created the schema
+ */
+export async function seedIfEmpty() {
+  const repository = getArticleRepository();
+  if ((await repository.count()) > 0) return;
+
+  const samples = [
+    { 
+      title: 'Building Product-Led Growth in B2B SaaS', 
+      topic: 'B2B SaaS', 
+      content: 'Product-Led Growth (PLG) has become the dominant go-to-market strategy for modern B2B SaaS companies. Unlike traditional sales-led approaches, PLG focuses on delivering immediate value through the product itself, allowing users to experience core functionality before committing to a purchase. Successful PLG implementations require seamless onboarding flows, in-app guidance, and freemium models that showcase your product\'s unique value proposition. Key metrics to track include time-to-value, feature adoption rates, and conversion from free to paid tiers. Companies like Slack, Notion, and Figma have demonstrated that when done right, PLG can dramatically reduce customer acquisition costs while increasing organic growth through viral loops and word-of-mouth referrals.' 
+    },
+    { 
+      title: 'Decentralized Storage Networks: The Foundation of Web3 Infrastructure', 
+      topic: 'Web3 infrastructure', 
+      content: 'Decentralized storage networks like IPFS, Arweave, and Filecoin are revolutionizing how data is stored and accessed on the internet. Unlike traditional cloud storage, these networks distribute data across thousands of nodes, eliminating single points of failure and reducing censorship risks. IPFS (InterPlanetary File System) uses content-addressing to create a distributed web where files are identified by their cryptographic hash rather than location. Arweave offers permanent storage through a novel consensus mechanism called Proof of Access, while Filecoin creates a marketplace for storage providers. These technologies are critical infrastructure for Web3 applications, enabling decentralized social networks, NFT marketplaces, and blockchain-based applications that require reliable, censorship-resistant data storage.' 
+    },
+    { 
+      title: 'Customer Success Metrics That Drive B2B SaaS Retention', 
+      topic: 'B2B SaaS', 
+      content: 'In B2B SaaS, customer retention is the lifeblood of sustainable growth. While acquisition metrics get attention, retention metrics directly impact revenue and profitability. Key indicators include Net Revenue Retention (NRR), which measures expansion revenue from existing customers, and Customer Lifetime Value (LTV) to Customer Acquisition Cost (CAC) ratios. Product engagement scores, feature adoption rates, and time-to-first-value are leading indicators of churn risk. Successful SaaS companies implement health scoring systems that combine product usage, support ticket volume, and payment behavior to identify at-risk accounts early. Proactive outreach, personalized onboarding, and strategic account management can turn potential churn into expansion opportunities, transforming satisfied customers into advocates who drive referrals and case studies.' 
     }
-    if (row.count === 0) {
-      const samples = [
-        { 
-          title: 'Building Product-Led Growth in B2B SaaS', 
-          content: 'Product-Led Growth (PLG) has become the dominant go-to-market strategy for modern B2B SaaS companies. Unlike traditional sales-led approaches, PLG focuses on delivering immediate value through the product itself, allowing users to experience core functionality before committing to a purchase. Successful PLG implementations require seamless onboarding flows, in-app guidance, and freemium models that showcase your product\'s unique value proposition. Key metrics to track include time-to-value, feature adoption rates, and conversion from free to paid tiers. Companies like Slack, Notion, and Figma have demonstrated that when done right, PLG can dramatically reduce customer acquisition costs while increasing organic growth through viral loops and word-of-mouth referrals.' 
-        },
-        { 
-          title: 'Decentralized Storage Networks: The Foundation of Web3 Infrastructure', 
-          content: 'Decentralized storage networks like IPFS, Arweave, and Filecoin are revolutionizing how data is stored and accessed on the internet. Unlike traditional cloud storage, these networks distribute data across thousands of nodes, eliminating single points of failure and reducing censorship risks. IPFS (InterPlanetary File System) uses content-addressing to create a distributed web where files are identified by their cryptographic hash rather than location. Arweave offers permanent storage through a novel consensus mechanism called Proof of Access, while Filecoin creates a marketplace for storage providers. These technologies are critical infrastructure for Web3 applications, enabling decentralized social networks, NFT marketplaces, and blockchain-based applications that require reliable, censorship-resistant data storage.' 
-        },
-        { 
-          title: 'Customer Success Metrics That Drive B2B SaaS Retention', 
-          content: 'In B2B SaaS, customer retention is the lifeblood of sustainable growth. While acquisition metrics get attention, retention metrics directly impact revenue and profitability. Key indicators include Net Revenue Retention (NRR), which measures expansion revenue from existing customers, and Customer Lifetime Value (LTV) to Customer Acquisition Cost (CAC) ratios. Product engagement scores, feature adoption rates, and time-to-first-value are leading indicators of churn risk. Successful SaaS companies implement health scoring systems that combine product usage, support ticket volume, and payment behavior to identify at-risk accounts early. Proactive outreach, personalized onboarding, and strategic account management can turn potential churn into expansion opportunities, transforming satisfied customers into advocates who drive referrals and case studies.' 
-        }
-      ];
-      const stmt = db.prepare('INSERT INTO articles (title, content) VALUES (?, ?)');
-      samples.forEach(a => stmt.run(a.title, a.content));
-      stmt.finalize();
-      console.log('Seeded initial articles');
+  ];
+  for (const sample of samples) {
+    await repository.insert({
+      title: sample.title,
+      slug: slugify(sample.title),
+      content: sample.content,
+      topic: sample.topic,
+      status: 'published',
+      source: 'seed'
+    });
+  }
+  logger.info('Seeded initial articles', { count: samples.length });
+}
+
+/**
+ * Lists articles newest first, one page at a time
+ * `from`/`to` are SQLite datetime strings (YYYY-MM-DD HH:MM:SS, UTC) and
+ * `view: 'summary'` swaps the full content for an excerpt (the stored summary,
+ * or the start of the content for articles without one)
+ * Only published articles are listed unless `status` asks for another
+ * state, or 'all'
+ * Resolves to { articles, total } where total ignores pagination
+ */
+export function listArticles({
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+  from,
+  to,
+  topic,
+  status = 'published',
+  source,
+  tag,
+  view = 'full'
+} = {}) {
+  return getArticleRepository().list({ page, limit, from, to, topic, status, source, tag, view });
+}
+
+/**
+ * Every article in `status` ('all' by default), oldest first and unpaginated,
+ * for corpus exports
+ */
+export function listAllArticles({ status = 'all' } = {}) {
+  return getArticleRepository().listAll({ status });
+}
+
+/**
+ * Turns free-form user input into search terms (runs of letters and
+ * digits), so search syntax in the input is treated as plain text
+ * Returns null when the input has no searchable words
+ */
+export function buildSearchQuery(input) {
+  return String(input || '').match(/[\p{L}\p{N}]+/gu);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toHighlightHtml(text) {
+  return escapeHtml(text || '')
+    .split(HIGHLIGHT_OPEN).join('<mark>')
+    .split(HIGHLIGHT_CLOSE).join('</mark>');
+}
+
+/**
+ * Ranked full-text search over the titles and content of published articles
+ * Title matches weigh more than body matches; `title_html` and `snippet`
+ * are HTML-escaped with matches wrapped in <mark>
+ * Resolves to { articles, total }
+ */
+export async function searchArticles(terms, { page = 1, limit = DEFAULT_PAGE_SIZE, tag } = {}) {
+  const { articles, total } = await getArticleRepository().search(terms, { page, limit, tag });
+  return {
+    articles: articles.map(row => ({
+      ...row,
+      title_html: toHighlightHtml(row.title_html),
+      snippet: toHighlightHtml(row.snippet)
+    })),
+    total
+  };
+}
+
+/**
+ * Adds the rendered view of the markdown body; `content` stays raw markdown
+ */
+function withRenderedContent(row) {
+  if (!row) return row;
+  const { html, toc, readingTimeMinutes } = renderMarkdown(row.content);
+  return { ...row, content_html: html, toc, reading_time_minutes: readingTimeMinutes };
+}
+
+export async function getArticle(id) {
+  return withRenderedContent(await getArticleRepository().get(id));
+}
+
+export async function getArticleBySlug(slug) {
+  return withRenderedContent(await getArticleRepository().getBySlug(slug));
+}
+
+/**
+ * Slug for a new article: the slugified title, suffixed (-2, -3...) when an
+ * existing article already uses it
+ */
+function slugForTitle(title) {
+  return uniqueSlug(slugify(title) || 'article', slug => getArticleRepository().slugExists(slug));
+}
+
+/**
+ * Stores an article with a fresh slug and its provenance
+ * Resolves to the complete article
+ */
+async function insertArticle({
+  title,
+  summary = null,
+  content,
+  topic = null,
+  status,
+  source,
+  model = null,
+  promptVersion = null,
+  generationId = null
+}) {
+  const insert = async slug =>
+    getArticle(
+      await getArticleRepository().insert({
+        title,
+        slug,
+        summary,
+        content,
+        topic,
+        status,
+        source,
+        model,
+        prompt_version: promptVersion,
+        generation_id: generationId
+      })
+    );
+
+  // A concurrent job may claim the same slug between the check and the insert
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await insert(await slugForTitle(title));
+    } catch (err) {
+      if (!(err instanceof SlugTakenError) || attempt >= 3) throw err;
     }
-  });
+  }
 }
 
-seedIfEmpty();
+/**
+ * Generates an article and runs AI output through the quality gate,
+ * generating again while QUALITY_GATE_ACTION is retry and attempts remain
+ * Resolves to { generated, check, retried } where `check` is null for
+ * fallback text and `retried` holds the checks of discarded generations
+ * `onEvent` receives generateArticle()'s progress events plus a
+ * { type: 'quality' } event with each check
+ */
+async function generateCheckedArticle(topic, { model, onEvent, excludeArticleId }) {
+  const retried = [];
+  for (let attempt = 0; ; attempt += 1) {
+    const generated = await generateArticle(topic, { model, onEvent });
+    if (generated.source !== 'ai') return { generated, check: null, retried };
+
+    const check = await evaluateArticle(generated, { topic, excludeArticleId, wordLimit: generated.wordLimit });
+    const done = check.passed || qualityAction !== 'retry' || attempt >= qualityRetryAttempts;
+    onEvent?.({ type: 'quality', passed: check.passed, issues: check.issues, retrying: !done });
+    if (done) return { generated, check, retried };
+    logger.warn('Generation failed the quality gate; retrying', { topic, issues: check.issues.map(i => i.message) });
+    retried.push({ check, generationId: generated.generationId, promptVersion: generated.promptVersion });
+  }
+}
 
-export function listArticles() {
-  return new Promise((resolve, reject) => {
-    db.all('SELECT id, title, content, created_at FROM articles ORDER BY created_at DESC', (err, rows) => {
-      if (err) return reject(err);
-      resolve(rows);
+/**
+ * Generates an article for the topic and stores it
+ * `status` defaults to GENERATED_ARTICLE_STATUS (published unless configured),
+ * so generations can be held as drafts for review
+ * With `allowFallback: false`, template fallback text is rejected with an
+ * error instead of being stored, so callers can retry later. Fallback text
+ * that is accepted follows FALLBACK_ARTICLE_POLICY (publish, draft or reject)
+ * AI text that fails the quality gate follows QUALITY_GATE_ACTION (draft,
+ * retry, reject or off); every check is recorded with its reasons
+ * `model` overrides the AI provider's default model; `onEvent` receives
+ * progress events while the article is written (see generateCheckedArticle)
+ */
+export async function createArticle(
+  topic = 'B2B SaaS and open-source Web3 infrastructure',
+  { status = defaultGeneratedStatus, allowFallback = true, model, onEvent } = {}
+) {
+  const { generated, check, retried } = await generateCheckedArticle(topic, { model, onEvent });
+  const recordRetried = articleId =>
+    Promise.all(
+      retried.map(r =>
+        recordQualityCheck(r.check, {
+          generationId: r.generationId,
+          articleId,
+          topic,
+          promptVersion: r.promptVersion,
+          outcome: 'retry'
+        })
+      )
+    );
+
+  const failedGate = check && !check.passed && qualityAction !== 'off';
+  if (failedGate && qualityAction === 'reject') {
+    await recordRetried(null);
+    await recordQualityCheck(check, {
+      generationId: generated.generationId,
+      topic,
+      promptVersion: generated.promptVersion,
+      outcome: 'reject'
+    });
+    throw new QualityGateError(topic, check.issues);
+  }
+  if (failedGate && status === 'published') {
+    logger.warn('Storing article as a draft after failing the quality gate', {
+      topic,
+      issues: check.issues.map(i => i.message)
     });
+  }
+
+  const isFallback = generated.source === 'fallback';
+  if (isFallback && (!allowFallback || fallbackPolicy === 'reject')) {
+    throw new Error(`AI generation failed for "${topic}"; fallback content not accepted`);
+  }
+  if (isFallback && fallbackPolicy === 'draft' && status === 'published') {
+    logger.warn('Storing fallback article as a draft (FALLBACK_ARTICLE_POLICY=draft)', { topic });
+  }
+
+  const article = await insertArticle({
+    title: generated.title,
+    summary: generated.summary,
+    content: generated.content,
+    topic,
+    status: (isFallback && fallbackPolicy === 'draft') || failedGate ? 'draft' : status,
+    source: generated.source,
+    model: generated.model,
+    promptVersion: generated.promptVersion,
+    generationId: generated.generationId
   });
+  await linkGenerationToArticle(generated.generationId, article.id);
+  await recordRetried(article.id);
+  if (check) {
+    await recordQualityCheck(check, {
+      generationId: generated.generationId,
+      articleId: article.id,
+      topic,
+      promptVersion: generated.promptVersion,
+      outcome: failedGate ? 'draft' : 'passed'
+    });
+  }
+  await setArticleTags(article.id, autoTags(generated, topic));
+  return getArticle(article.id);
+}
+
+/**
+ * Stores an article written by hand (source 'manual')
+ * `status` defaults to draft
+ */
+export async function createManualArticle({ title, summary, content, topic, status = 'draft', tags = [] }) {
+  const article = await insertArticle({ title, summary, content, topic, status, source: 'manual' });
+  if (tags.length === 0) return article;
+  await setArticleTags(article.id, tags);
+  return getArticle(article.id);
 }
 
-export function getArticle(id) {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT id, title, content, created_at FROM articles WHERE id = ?', [id], (err, row) => {
-      if (err) return reject(err);
-      resolve(row);
+/**
+ * Applies edits to an article; `changes` may hold title, summary, content, topic, status and tags
+ * (names, replacing the current tags)
+ * Publishing stamps published_at the first time, and every edit bumps updated_at
+ * Edits that change the text keep the previous version as a snapshot revision
+ * Resolves to the updated article, or undefined when it does not exist
+ */
+export async function updateArticle(id, changes) {
+  const existing = await getArticle(id);
+  if (!existing) return undefined;
+
+  const textChanged = ['title', 'summary', 'content'].some(
+    field => changes[field] !== undefined && changes[field] !== existing[field]
+  );
+  if (textChanged) await snapshotArticle(existing);
+
+  const editable = ['title', 'summary', 'content', 'topic', 'status'];
+  const fields = Object.fromEntries(
+    editable.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+  );
+  await getArticleRepository().update(existing.id, fields, { publish: changes.status === 'published' });
+  if (changes.tags !== undefined) await setArticleTags(existing.id, changes.tags);
+  return getArticle(existing.id);
+}
+
+/**
+ * Generates `count` alternative versions of an article from its stored topic
+ * and keeps them as candidate revisions; the article itself is unchanged
+ * until an editor selects one. Candidate i uses models[i] in rotation (the
+ * provider's default model when `models` is empty). Fallback text is never
+ * kept as a candidate
+ * Candidates go through the quality gate like new articles: with
+ * QUALITY_GATE_ACTION=reject failing ones are dropped, otherwise they are
+ * kept for the editor to judge; every check is recorded against the article
+ * Resolves to { candidates, fallbacks, rejected }, or undefined when the article does not exist
+ */
+export async function regenerateArticle(id, { count = 1, models = [], jobId = null } = {}) {
+  const article = await getArticle(id);
+  if (!article) return undefined;
+
+  const candidates = [];
+  let fallbacks = 0;
+  let rejected = 0;
+  for (let index = 0; index < count; index += 1) {
+    const model = models.length ? models[index % models.length] : undefined;
+    let result;
+    try {
+      result = await generateCheckedArticle(article.topic, { model, excludeArticleId: article.id });
+    } catch (err) {
+      // Keep what was generated before the budget ran out rather than paying for it again on retry
+      if (err instanceof BudgetExceededError && candidates.length) break;
+      throw err;
+    }
+    const { generated, check, retried } = result;
+    if (generated.source === 'fallback') {
+      fallbacks += 1;
+      continue;
+    }
+
+    const failedGate = check && !check.passed && qualityAction !== 'off';
+    const dropped = failedGate && qualityAction === 'reject';
+    const record = (quality, generationId, promptVersion, outcome) =>
+      recordQualityCheck(quality, { generationId, articleId: article.id, topic: article.topic, promptVersion, outcome });
+    await Promise.all(retried.map(r => record(r.check, r.generationId, r.promptVersion, 'retry')));
+    if (check) {
+      const outcome = dropped ? 'reject' : failedGate ? 'draft' : 'passed';
+      await record(check, generated.generationId, generated.promptVersion, outcome);
+    }
+    if (dropped) {
+      logger.warn('Dropping a regenerated candidate that failed the quality gate', {
+        articleId: article.id,
+        issues: check.issues.map(i => i.message)
+      });
+      rejected += 1;
+      continue;
+    }
+
+    const revision = await createRevision(article.id, {
+      kind: 'candidate',
+      jobId,
+      title: generated.title,
+      summary: generated.summary,
+      content: generated.content,
+      source: generated.source,
+      model: generated.model,
+      promptVersion: generated.promptVersion,
+      generationId: generated.generationId
     });
-  });
+    await linkGenerationToArticle(generated.generationId, article.id);
+    candidates.push(revision);
+  }
+  return { candidates, fallbacks, rejected };
 }
 
-export async function createArticle(topic = 'B2B SaaS and open-source Web3 infrastructure') {
-  const { title, content } = await generateArticle(topic);
-
-  return new Promise((resolve, reject) => {
-    db.run(
-      'INSERT INTO articles (title, content) VALUES (?, ?)',
-      [title, content],
-      function insertCallback(err) {
-        if (err) return reject(err);
-        // Fetch the complete article with created_at
-        db.get(
-          'SELECT id, title, content, created_at FROM articles WHERE id = ?',
-          [this.lastID],
-          (fetchErr, row) => {
-            if (fetchErr) return reject(fetchErr);
-            resolve(row);
-          }
-        );
-      }
-    );
+/**
+ * Replaces an article's text and provenance with one of its revisions
+ * (a candidate, or a snapshot to roll back), keeping the replaced text as a
+ * snapshot. The slug stays, so permalinks keep working
+ * Resolves to the updated article, or undefined when either does not exist
+ */
+export async function applyRevision(id, revisionId) {
+  const [article, revision] = await Promise.all([getArticle(id), getRevision(id, revisionId)]);
+  if (!article || !revision) return undefined;
+
+  await snapshotArticle(article);
+  await getArticleRepository().update(id, {
+    title: revision.title,
+    summary: revision.summary,
+    content: revision.content,
+    source: revision.source,
+    model: revision.model,
+    prompt_version: revision.prompt_version,
+    generation_id: revision.generation_id
   });
+  await markRevisionSelected(revision.id);
+  return getArticle(id);
 }
 
-
+/**
+ * Deletes an article; resolves to true when a row was removed
+ * The SQLite tables that point at articles are cleaned up here too: their
+ * foreign keys are off when articles live in PostgreSQL (see db.js)
+ */
+export async function deleteArticle(id) {
+  if (!(await getArticleRepository().delete(id))) return false;
+  const articleId = toArticleId(id);
+  await Promise.all([
+    deleteRevisions(articleId),
+    unlinkQualityChecks(articleId),
+    unlinkArticleCalls(articleId),
+    unlinkTopicArticle(articleId)
+  ]);
+  return true;
+}
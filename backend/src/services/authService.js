@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import db from '../db.js';
+import { logger } from '../logger.js';
+
+// Ordered from least to most privileged; each role can do everything the previous ones can
+export const ROLES = ['reader', 'editor', 'admin'];
+
+// Bootstrap key with the admin role, used to create the first stored keys
+const adminApiKey = process.env.ADMIN_API_KEY || '';
+
+const KEY_PREFIX_LENGTH = 8;
+const apiKeyColumns = 'id, name, role, key_prefix, created_at, last_used_at, revoked_at';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+export function isAdminKeyConfigured() {
+  return adminApiKey.length > 0;
+}
+
+function matchesAdminKey(key) {
+  if (!adminApiKey) return false;
+  // Compare digests so the check takes the same time whatever the input length
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(adminApiKey), 'hex'));
+}
+
+/**
+ * Resolves the principal ({ id, name, role }) for a presented key, or null
+ * when it is unknown or revoked
+ */
+export async function findPrincipal(key) {
+  if (matchesAdminKey(key)) return { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+
+  const row = await new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id, name, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [hashKey(key)],
+      (err, result) => {
+        if (err) return reject(err);
+        resolve(result);
+      }
+    );
+  });
+  if (!row) return null;
+
+  db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id], err => {
+    if (err) logger.error('Failed to record API key use', { err });
+  });
+  return row;
+}
+
+export function listApiKeys() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT ${apiKeyColumns} FROM api_keys ORDER BY id`, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+export function getApiKey(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${apiKeyColumns} FROM api_keys WHERE id = ?`, [id], (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Issues a new key; the plaintext `key` is only returned here, never stored
+ */
+export function createApiKey({ name, role }) {
+  const key = `bk_${crypto.randomBytes(24).toString('base64url')}`;
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO api_keys (name, role, key_hash, key_prefix) VALUES (?, ?, ?, ?)',
+      [name, role, hashKey(key), key.slice(0, KEY_PREFIX_LENGTH)],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getApiKey(this.lastID).then(row => resolve({ ...row, key }), reject);
+      }
+    );
+  });
+}
+
+/**
+ * Revokes a key; resolves to true when an active key was revoked
+ */
+export function revokeApiKey(id) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id],
+      function revokeCallback(err) {
+        if (err) return reject(err);
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import sqlite3 from 'sqlite3';
+import db, { dbPath } from '../db.js';
+import { migrateUp, migrationStatus } from '../migrator.js';
+import { logger } from '../logger.js';
+import { cronRuns } from './metrics.js';
+
+export const backupDir = path.resolve(process.env.BACKUP_DIR || path.join(path.dirname(dbPath), 'backups'));
+// Hourly by default; "off" disables scheduled backups
+const backupSchedule = process.env.BACKUP_SCHEDULE || '0 * * * *';
+const keepLast = Math.max(1, Number(process.env.BACKUP_KEEP_LAST) || 24);
+const keepDaily = Math.max(0, Number(process.env.BACKUP_KEEP_DAILY ?? 7) || 0);
+// Pages copied per backup step; the database stays usable between steps
+const STEP_PAGES = 100;
+
+const manifestPath = path.join(backupDir, 'manifest.json');
+
+// Snapshots copy the SQLite database; with DATABASE_URL articles and tags
+// are in PostgreSQL and need pg_dump instead
+export const backupCoversArticles = !process.env.DATABASE_URL;
+export const ARTICLES_NOT_COVERED = 'Articles and tags are stored in PostgreSQL (DATABASE_URL); back them up with pg_dump';
+
+let running = null;
+let scheduledTask = null;
+
+/**
+ * Thrown when a snapshot is missing, does not match its manifest checksum,
+ * fails PRAGMA integrity_check or comes from a newer schema
+ */
+export class SnapshotInvalidError extends Error {
+  constructor(file, reason) {
+    super(`Snapshot ${file} is not usable: ${reason}`);
+    this.name = 'SnapshotInvalidError';
+  }
+}
+
+/**
+ * The manifest lists good snapshots oldest first, plus the last failed attempt
+ */
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { snapshots: [], last_failure: null };
+    throw err;
+  }
+}
+
+// Written next to the manifest and renamed over it, so readers never see half a file
+async function writeManifest(manifest) {
+  const tmpPath = `${manifestPath}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  await fs.rename(tmpPath, manifestPath);
+}
+
+function sha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Copies between the live database and `file` with the online backup API,
+ * STEP_PAGES at a time; toFile false copies the file into the live database
+ */
+function copyDatabase(file, { toFile = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(file, 'main', 'main', toFile, err => {
+      if (err) return reject(err);
+      const step = () =>
+        backup.step(STEP_PAGES, stepErr => {
+          if (stepErr) return backup.finish(() => reject(stepErr));
+          if (backup.completed) return backup.finish(finishErr => (finishErr ? reject(finishErr) : resolve()));
+          if (backup.failed) return backup.finish(() => reject(new Error('SQLite backup failed')));
+          setImmediate(step);
+        });
+      step();
+    });
+  });
+}
+
+// Read-write without create: the FTS5 part of integrity_check refuses a
+// read-only connection, but the check itself leaves the file unchanged
+function openExisting(file) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, err => (err ? reject(err) : resolve(conn)));
+  });
+}
+
+/**
+ * Runs PRAGMA integrity_check on a database file and reads its latest
+ * applied migration
+ * Resolves to { ok, problems, schema_version }
+ */
+export async function inspectDatabase(file) {
+  const conn = await openExisting(file);
+  const all = sql =>
+    new Promise((resolve, reject) => {
+      conn.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  try {
+    const problems = (await all('PRAGMA integrity_check')).map(row => row.integrity_check).filter(r => r !== 'ok');
+    let schemaVersion = null;
+    try {
+      [{ version: schemaVersion }] = await all('SELECT MAX(version) AS version FROM schema_migrations');
+    } catch {
+      problems.push('no schema_migrations table');
+    }
+    return { ok: problems.length === 0, problems, schema_version: schemaVersion };
+  } finally {
+    conn.close();
+  }
+}
+
+const snapshotName = date => `blog-${date.toISOString().replace(/[:.]/g, '-')}.db`;
+
+/**
+ * Keeps the newest BACKUP_KEEP_LAST snapshots plus the newest snapshot of
+ * each of the last BACKUP_KEEP_DAILY days that have one; deletes the rest
+ * Resolves to the removed file names
+ */
+async function rotate(manifest) {
+  const newestFirst = [...manifest.snapshots].reverse();
+  const keep = new Set(newestFirst.slice(0, keepLast));
+  const days = new Set();
+  for (const snapshot of newestFirst) {
+    const day = snapshot.created_at.slice(0, 10);
+    if (days.has(day)) continue;
+    if (days.size >= keepDaily) break;
+    days.add(day);
+    keep.add(snapshot);
+  }
+
+  const removed = manifest.snapshots.filter(snapshot => !keep.has(snapshot));
+  for (const snapshot of removed) {
+    await fs.rm(path.join(backupDir, snapshot.file), { force: true });
+  }
+  manifest.snapshots = manifest.snapshots.filter(snapshot => keep.has(snapshot));
+  return removed.map(snapshot => snapshot.file);
+}
+
+async function takeBackup(reason) {
+  await fs.mkdir(backupDir, { recursive: true });
+  const startedAt = new Date();
+  const file = snapshotName(startedAt);
+  const tmpPath = path.join(backupDir, `${file}.tmp`);
+
+  try {
+    await copyDatabase(tmpPath);
+    const check = await inspectDatabase(tmpPath);
+    if (!check.ok) throw new Error(`integrity check failed: ${check.problems.slice(0, 5).join('; ')}`);
+    await fs.rename(tmpPath, path.join(backupDir, file));
+
+    const snapshot = {
+      file,
+      created_at: startedAt.toISOString(),
+      reason,
+      size: (await fs.stat(path.join(backupDir, file))).size,
+      sha256: await sha256(path.join(backupDir, file)),
+      schema_version: check.schema_version,
+      duration_ms: Date.now() - startedAt.getTime()
+    };
+    const manifest = await readManifest();
+    manifest.snapshots.push(snapshot);
+    const removed = await rotate(manifest);
+    await writeManifest(manifest);
+    return { ...snapshot, removed };
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    const manifest = await readManifest();
+    manifest.last_failure = { at: startedAt.toISOString(), reason, error: err.message };
+    await writeManifest(manifest);
+    throw err;
+  }
+}
+
+/**
+ * Snapshots the live database into BACKUP_DIR, checks the copy with
+ * PRAGMA integrity_check and records it in the manifest before rotating
+ * A backup already in progress is shared rather than started twice
+ * Resolves to the manifest entry plus the rotated-out `removed` files
+ */
+export function createBackup({ reason = 'manual' } = {}) {
+  if (!running) {
+    running = takeBackup(reason).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/**
+ * Good snapshots, newest first
+ */
+export async function listBackups() {
+  const manifest = await readManifest();
+  return [...manifest.snapshots].reverse();
+}
+
+/**
+ * The newest snapshot taken at or before `at` (a Date; now by default),
+ * or undefined when there is none
+ */
+export async function findBackup({ at = new Date() } = {}) {
+  const snapshots = await listBackups();
+  return snapshots.find(snapshot => new Date(snapshot.created_at) <= at);
+}
+
+/**
+ * Checks a snapshot against its manifest checksum and PRAGMA integrity_check
+ * Resolves to the manifest entry with the inspection result; throws
+ * SnapshotInvalidError otherwise
+ */
+export async function verifyBackup(file) {
+  const snapshot = (await listBackups()).find(entry => entry.file === path.basename(file));
+  if (!snapshot) throw new SnapshotInvalidError(file, 'not in the backup manifest');
+
+  const snapshotPath = path.join(backupDir, snapshot.file);
+  try {
+    await fs.access(snapshotPath);
+  } catch {
+    throw new SnapshotInvalidError(snapshot.file, 'file is missing');
+  }
+  if ((await sha256(snapshotPath)) !== snapshot.sha256) {
+    throw new SnapshotInvalidError(snapshot.file, 'checksum does not match the manifest');
+  }
+  const check = await inspectDatabase(snapshotPath);
+  if (!check.ok) throw new SnapshotInvalidError(snapshot.file, check.problems.slice(0, 5).join('; '));
+  return { ...snapshot, ...check };
+}
+
+/**
+ * Replaces the live database with a verified snapshot, after taking a
+ * pre-restore backup of the current one (skipped with safetyBackup false,
+ * e.g. when the live database is itself corrupt), then migrates it forward
+ * The copy goes through the backup API, so open connections see the
+ * restored data rather than a swapped-out file
+ * Resolves to { restored, safety, migrated }
+ */
+export async function restoreBackup(file, { safetyBackup = true } = {}) {
+  const snapshot = await verifyBackup(file);
+  const known = Math.max(0, ...(await migrationStatus()).filter(m => !m.missing).map(m => m.version));
+  if (snapshot.schema_version > known) {
+    throw new SnapshotInvalidError(
+      snapshot.file,
+      `schema version ${snapshot.schema_version} is newer than this build's migrations (${known})`
+    );
+  }
+
+  const safety = safetyBackup ? await createBackup({ reason: 'pre-restore' }) : null;
+  await copyDatabase(path.join(backupDir, snapshot.file), { toFile: false });
+  const migrated = await migrateUp();
+  return { restored: snapshot, safety, migrated };
+}
+
+/**
+ * When the last good backup was taken and whether snapshots include the
+ * articles, for /health
+ */
+export async function getBackupStatus() {
+  const manifest = await readManifest();
+  const last = manifest.snapshots[manifest.snapshots.length - 1];
+  return {
+    last_backup_at: last?.created_at ?? null,
+    last_backup_age_seconds: last ? Math.round((Date.now() - new Date(last.created_at)) / 1000) : null,
+    snapshots: manifest.snapshots.length,
+    last_failure: manifest.last_failure ?? null,
+    schedule: backupSchedule === 'off' ? null : backupSchedule,
+    covers_articles: backupCoversArticles,
+    ...(backupCoversArticles ? {} : { warning: ARTICLES_NOT_COVERED })
+  };
+}
+
+export function startBackupSchedule() {
+  if (backupSchedule === 'off') {
+    logger.info('Scheduled backups are off (BACKUP_SCHEDULE=off)');
+    return;
+  }
+  if (!cron.validate(backupSchedule)) {
+    logger.warn('BACKUP_SCHEDULE is not a valid cron expression; scheduled backups are off', { cron: backupSchedule });
+    return;
+  }
+  scheduledTask?.stop();
+  scheduledTask = cron.schedule(backupSchedule, () => {
+    createBackup({ reason: 'scheduled' })
+      .then(snapshot => {
+        cronRuns.inc({ task: 'backup', outcome: 'success' });
+        logger.info('Backup written', { file: snapshot.file, size: snapshot.size });
+      })
+      .catch(err => {
+        cronRuns.inc({ task: 'backup', outcome: 'failure' });
+        logger.error('Scheduled backup failed', { err });
+      });
+  });
+  logger.info('Scheduled database backups', { cron: backupSchedule, dir: backupDir });
+}
@@ -0,0 +1,122 @@
+import db from '../db.js';
+
+// Caps on outgoing LLM calls (every model attempt and repair pass counts); 0 disables a cap
+const dailyCallLimit = Math.max(0, Number(process.env.LLM_DAILY_CALL_LIMIT ?? 50));
+const monthlyCallLimit = Math.max(0, Number(process.env.LLM_MONTHLY_CALL_LIMIT ?? 0));
+
+/**
+ * Thrown when a generation would exceed the daily or monthly LLM call budget
+ * `retryAfterSeconds` is the time until the exhausted period resets
+ */
+export class BudgetExceededError extends Error {
+  constructor(scope, { limit, retryAfterSeconds }) {
+    super(`${scope === 'daily' ? 'Daily' : 'Monthly'} LLM call budget of ${limit} exhausted`);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.limit = limit;
+    this.retryAfterSeconds = retryAfterSeconds;
+    // Lets the job queue defer the job until the budget resets instead of failing it
+    this.retryAfterMs = retryAfterSeconds * 1000;
+  }
+}
+
+/**
+ * The current UTC day and month, with when each resets
+ */
+function currentPeriods(now = new Date()) {
+  const iso = now.toISOString();
+  const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  const secondsUntil = time => Math.max(1, Math.ceil((time - now.getTime()) / 1000));
+  return [
+    { scope: 'daily', period: `day:${iso.slice(0, 10)}`, limit: dailyCallLimit, resetsIn: secondsUntil(nextDay), resetsAt: new Date(nextDay) },
+    { scope: 'monthly', period: `month:${iso.slice(0, 7)}`, limit: monthlyCallLimit, resetsIn: secondsUntil(nextMonth), resetsAt: new Date(nextMonth) }
+  ];
+}
+
+function usedCalls(periods) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT period, calls FROM llm_usage WHERE period IN (${periods.map(() => '?').join(', ')})`,
+      periods.map(p => p.period),
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(new Map(rows.map(row => [row.period, row.calls])));
+      }
+    );
+  });
+}
+
+/**
+ * Daily and monthly usage: { daily: { used, limit, resetsAt }, monthly: {...} }
+ * `limit` is null when that cap is disabled
+ */
+export async function getBudgetStatus() {
+  const periods = currentPeriods();
+  const used = await usedCalls(periods);
+  return Object.fromEntries(
+    periods.map(p => [
+      p.scope,
+      { used: used.get(p.period) || 0, limit: p.limit || null, resetsAt: p.resetsAt.toISOString() }
+    ])
+  );
+}
+
+/**
+ * Rejects with BudgetExceededError when either cap is already reached
+ * Used before queueing work; it does not consume budget
+ */
+export async function assertLlmBudget() {
+  const periods = currentPeriods();
+  const used = await usedCalls(periods);
+  for (const p of periods) {
+    if (p.limit && (used.get(p.period) || 0) >= p.limit) {
+      throw new BudgetExceededError(p.scope, { limit: p.limit, retryAfterSeconds: p.resetsIn });
+    }
+  }
+}
+
+/**
+ * Adds one call to a period unless that would pass `limit`; resolves to
+ * whether the call was counted
+ */
+function incrementWithin(period, limit) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO llm_usage (period, calls) VALUES (?, 1)
+      ON CONFLICT (period) DO UPDATE SET calls = calls + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE ? = 0 OR calls < ?`,
+      [period, limit, limit],
+      function incrementCallback(err) {
+        if (err) return reject(err);
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+function decrement(period) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE llm_usage SET calls = calls - 1 WHERE period = ? AND calls > 0', [period], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Counts one outgoing LLM call against the daily and monthly budgets
+ * Each counter is checked and bumped in a single statement, so concurrent
+ * jobs cannot overshoot; rejects with BudgetExceededError when a cap is hit
+ */
+export async function reserveLlmCall() {
+  const counted = [];
+  for (const p of currentPeriods()) {
+    if (!(await incrementWithin(p.period, p.limit))) {
+      // Give back what the earlier period already counted for this call
+      await Promise.all(counted.map(decrement));
+      throw new BudgetExceededError(p.scope, { limit: p.limit, retryAfterSeconds: p.resetsIn });
+    }
+    counted.push(p.period);
+  }
+}
@@ -0,0 +1,348 @@
+import JSZip from 'jszip';
+import YAML from 'yaml';
+import { ARTICLE_SOURCES, ARTICLE_STATUSES, listAllArticles } from './articleService.js';
+import { snapshotArticle } from './revisionService.js';
+import { setArticleTags } from './tagService.js';
+import { getArticleRepository } from './repositories/index.js';
+import { slugify, uniqueSlug } from './slug.js';
+
+// Identifies JSON exports; bumped when the article shape changes incompatibly
+export const CORPUS_FORMAT = 'assimetria-articles';
+export const CORPUS_VERSION = 1;
+
+export const EXPORT_FORMATS = ['json', 'markdown', 'site'];
+
+/**
+ * What importing an article whose slug already exists does: keep the
+ * existing article, replace its text and metadata, or store the import as a
+ * new article with a suffixed slug
+ */
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// Exported alongside the markdown content and tag names
+const exportFields = [
+  'id',
+  'slug',
+  'title',
+  'summary',
+  'topic',
+  'status',
+  'source',
+  'model',
+  'prompt_version',
+  'generation_id',
+  'created_at',
+  'published_at',
+  'updated_at'
+];
+const optionalTextFields = ['summary', 'topic', 'model', 'prompt_version', 'generation_id'];
+const timestampFields = ['created_at', 'published_at', 'updated_at'];
+
+const frontMatterPattern = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+/**
+ * Thrown when an import cannot be read or holds invalid articles; nothing
+ * is written in that case
+ */
+export class CorpusImportError extends Error {
+  constructor(errors) {
+    super(`Invalid import: ${errors.join('; ')}`);
+    this.name = 'CorpusImportError';
+    this.errors = errors;
+  }
+}
+
+function toExportedArticle(article) {
+  return {
+    ...Object.fromEntries(exportFields.map(field => [field, article[field] ?? null])),
+    tags: article.tags.map(tag => tag.name),
+    content: article.content
+  };
+}
+
+/**
+ * The articles in `status` ('all' by default) as one JSON document
+ */
+export async function exportJson({ status } = {}) {
+  const articles = await listAllArticles({ status });
+  return {
+    format: CORPUS_FORMAT,
+    version: CORPUS_VERSION,
+    exported_at: new Date().toISOString(),
+    articles: articles.map(toExportedArticle)
+  };
+}
+
+/**
+ * A Markdown file with the article's metadata as YAML front matter
+ */
+export function toMarkdownFile(article) {
+  const { content, ...meta } = toExportedArticle(article);
+  return `---\n${YAML.stringify(meta)}---\n\n${content}\n`;
+}
+
+/**
+ * Zips files given as [{ path, content }]; resolves to a Buffer
+ */
+export function zipFiles(files) {
+  const zip = new JSZip();
+  for (const file of files) zip.file(file.path, file.content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * The articles in `status` ('all' by default) as a zip of
+ * articles/<slug>.md files; resolves to a Buffer
+ */
+export async function exportMarkdownZip({ status } = {}) {
+  const articles = await listAllArticles({ status });
+  return zipFiles(
+    articles.map(article => ({
+      path: `articles/${article.slug || `article-${article.id}`}.md`,
+      content: toMarkdownFile(article)
+    }))
+  );
+}
+
+/**
+ * Splits a Markdown file into its front matter fields and `content`
+ */
+export function parseMarkdownFile(text) {
+  const match = String(text).replace(/^\uFEFF/, '').match(frontMatterPattern);
+  if (!match) throw new Error('missing YAML front matter');
+  const meta = YAML.parse(match[1]) ?? {};
+  if (typeof meta !== 'object' || Array.isArray(meta)) throw new Error('front matter must be a mapping');
+  return { ...meta, content: match[2].trim() };
+}
+
+/**
+ * Reads an import into raw entries ([{ label, entry }]): a Buffer holding a
+ * Markdown zip or JSON text, or already parsed JSON (an exportJson()
+ * document or a bare array of articles)
+ */
+async function readCorpus(input) {
+  if (Buffer.isBuffer(input) && input.subarray(0, 4).toString('binary') === 'PK\u0003\u0004') {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(input);
+    } catch (err) {
+      throw new CorpusImportError([`unreadable zip: ${err.message}`]);
+    }
+    const files = Object.values(zip.files).filter(file => !file.dir && /\.md$/i.test(file.name));
+    if (files.length === 0) throw new CorpusImportError(['the zip holds no .md files']);
+
+    const entries = [];
+    const errors = [];
+    for (const file of files.sort((a, b) => a.name.localeCompare(b.name))) {
+      try {
+        entries.push({ label: file.name, entry: parseMarkdownFile(await file.async('string')) });
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+    if (errors.length) throw new CorpusImportError(errors);
+    return entries;
+  }
+
+  let document = input;
+  if (Buffer.isBuffer(input)) {
+    try {
+      document = JSON.parse(input.toString('utf8'));
+    } catch (err) {
+      throw new CorpusImportError([`not a zip or valid JSON: ${err.message}`]);
+    }
+  }
+  if (!Array.isArray(document)) {
+    if (document?.format !== undefined && document.format !== CORPUS_FORMAT) {
+      throw new CorpusImportError([`unknown format "${document.format}"`]);
+    }
+    if (document?.version > CORPUS_VERSION) {
+      throw new CorpusImportError([`version ${document.version} is newer than this server supports (${CORPUS_VERSION})`]);
+    }
+  }
+  const articles = Array.isArray(document) ? document : document?.articles;
+  if (!Array.isArray(articles)) throw new CorpusImportError(['expected an "articles" array']);
+  return articles.map((entry, index) => ({ label: `articles[${index}]`, entry }));
+}
+
+const toSqliteTimestamp = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC) or anything Date understands;
+ * null when empty, undefined when invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(date.getTime()) ? undefined : toSqliteTimestamp(date);
+}
+
+/**
+ * Validates one imported entry and fills in defaults: status draft, source
+ * manual, slug from the title and timestamps from created_at (or now)
+ * Returns { article, errors }
+ */
+function normalizeEntry(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { article: null, errors: ['must be an object'] };
+  }
+
+  const article = {};
+  for (const field of ['title', 'content']) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    } else {
+      article[field] = entry[field].trim();
+    }
+  }
+
+  for (const field of optionalTextFields) {
+    const value = entry[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    } else {
+      article[field] = value?.trim() || null;
+    }
+  }
+
+  if (entry.id !== undefined && entry.id !== null && !(Number.isInteger(entry.id) && entry.id > 0)) {
+    errors.push('id must be a positive integer');
+  } else {
+    article.id = entry.id ?? null;
+  }
+
+  article.slug = slugify(typeof entry.slug === 'string' && entry.slug.trim() ? entry.slug : article.title || '');
+  if (!article.slug && article.title) errors.push('slug (or title) must contain letters or digits');
+
+  article.status = entry.status ?? 'draft';
+  if (!ARTICLE_STATUSES.includes(article.status)) {
+    errors.push(`status must be one of: ${ARTICLE_STATUSES.join(', ')}`);
+  }
+  article.source = entry.source ?? 'manual';
+  if (!ARTICLE_SOURCES.includes(article.source)) {
+    errors.push(`source must be one of: ${ARTICLE_SOURCES.join(', ')}`);
+  }
+
+  for (const field of timestampFields) {
+    article[field] = parseTimestamp(entry[field]);
+    if (article[field] === undefined) errors.push(`${field} must be a date`);
+  }
+  article.created_at ??= toSqliteTimestamp(new Date());
+  article.updated_at ??= article.created_at;
+  if (article.status === 'published') article.published_at ??= article.created_at;
+
+  if (entry.tags !== undefined && entry.tags !== null) {
+    const names = Array.isArray(entry.tags) ? entry.tags.map(tag => (typeof tag === 'object' ? tag?.name : tag)) : null;
+    if (!names || names.some(name => typeof name !== 'string')) {
+      errors.push('tags must be an array of names');
+    } else {
+      article.tags = names;
+    }
+  }
+
+  return { article, errors };
+}
+
+const storedColumns = [
+  'title',
+  'summary',
+  'content',
+  'topic',
+  'status',
+  'source',
+  'model',
+  'prompt_version',
+  'generation_id',
+  'created_at',
+  'published_at',
+  'updated_at'
+];
+
+const storedFields = article => Object.fromEntries(storedColumns.map(column => [column, article[column]]));
+
+/**
+ * Inserts an imported article, keeping its id when no other article uses it
+ * Resolves to the stored id
+ */
+async function insertImported(repository, article, slug) {
+  const idFree = article.id && !(await repository.exists(article.id));
+  return repository.insert({ ...storedFields(article), slug, ...(idFree ? { id: article.id } : {}) });
+}
+
+/**
+ * Imports one article through the transaction's `repository`; articles whose
+ * text an overwrite replaces are added to `replaced`, to be snapshotted (as
+ * with edits) once the import has committed
+ */
+async function importArticle(repository, article, { onConflict, replaced }) {
+  const existing = await repository.getBySlug(article.slug);
+  const result = { title: article.title };
+
+  if (existing && onConflict === 'skip') {
+    return { ...result, action: 'skipped', id: existing.id, slug: existing.slug };
+  }
+  if (existing && onConflict === 'overwrite') {
+    if (['title', 'summary', 'content'].some(field => article[field] !== existing[field])) replaced.push(existing);
+    await repository.update(existing.id, storedFields(article));
+    if (article.tags) await setArticleTags(existing.id, article.tags, { repository });
+    return { ...result, action: 'updated', id: existing.id, slug: existing.slug };
+  }
+
+  const slug = existing ? await uniqueSlug(article.slug, candidate => repository.slugExists(candidate)) : article.slug;
+  const id = await insertImported(repository, article, slug);
+  if (article.tags) await setArticleTags(id, article.tags, { repository });
+  return {
+    ...result,
+    action: existing ? 'renamed' : 'created',
+    id,
+    slug,
+    ...(existing ? { original_slug: article.slug } : {}),
+    ...(article.id && article.id !== id ? { original_id: article.id } : {})
+  };
+}
+
+/**
+ * Imports a JSON export or a Markdown zip (see readCorpus)
+ * Articles are matched by slug and conflicts follow `onConflict`
+ * (CONFLICT_STRATEGIES); ids are kept when free, otherwise a new one is
+ * assigned and reported as original_id
+ * Every entry is validated before anything is written: one invalid entry
+ * rejects the whole import with a CorpusImportError. The writes run in one
+ * transaction, so an import that fails midway leaves no article changed
+ * Resolves to { total, created, updated, renamed, skipped, articles } where
+ * `articles` lists { action, id, slug, title } in import order
+ */
+export async function importCorpus(input, { onConflict = 'skip' } = {}) {
+  const entries = await readCorpus(input);
+  const articles = [];
+  const errors = [];
+  for (const { label, entry } of entries) {
+    const { article, errors: entryErrors } = normalizeEntry(entry);
+    if (entryErrors.length) errors.push(`${label}: ${entryErrors.join(', ')}`);
+    else articles.push(article);
+  }
+  if (errors.length) throw new CorpusImportError(errors);
+
+  // All or nothing: a failed write rolls back the articles imported before it
+  const replaced = [];
+  const results = await getArticleRepository().transaction(async repository => {
+    const imported = [];
+    for (const article of articles) {
+      imported.push(await importArticle(repository, article, { onConflict, replaced }));
+    }
+    return imported;
+  });
+  for (const article of replaced) await snapshotArticle(article);
+
+  const count = action => results.filter(result => result.action === action).length;
+  return {
+    total: results.length,
+    created: count('created'),
+    updated: count('updated'),
+    renamed: count('renamed'),
+    skipped: count('skipped'),
+    articles: results
+  };
+}
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { listArticles } from './articleService.js';
+import { renderMarkdown } from './markdown.js';
+
+// Where readers open articles (the frontend or the static site); item links are /articles/:slug under it
+export const siteUrl = (process.env.PUBLIC_SITE_URL || 'http://localhost:4173').replace(/\/+$/, '');
+export const feedTitle = process.env.FEED_TITLE || 'Assimetria';
+export const feedDescription = process.env.FEED_DESCRIPTION || 'Engineering Insights';
+// Newest published articles included in each feed
+const feedSize = Number(process.env.FEED_SIZE || 20);
+
+/**
+ * SQLite stores UTC timestamps as 'YYYY-MM-DD HH:MM:SS'
+ */
+function toDate(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const articleUrl = article => `${siteUrl}/articles/${encodeURIComponent(article.slug)}`;
+
+/**
+ * Loads the newest published articles with the metadata every format needs,
+ * optionally only those carrying `tag` ({ name, slug })
+ * Resolves to { title, items, updated, etag } where `etag` changes whenever
+ * an article in the feed is added, removed or edited, including its tags
+ */
+export async function loadFeed({ tag } = {}) {
+  const { articles } = await listArticles({ limit: feedSize, status: 'published', tag: tag?.slug });
+  const items = articles.map(article => ({
+    id: article.id,
+    url: articleUrl(article),
+    title: article.title,
+    summary: article.summary,
+    // Tags are the categories; articles from before tagging fall back to their topic
+    categories: article.tags.length ? article.tags.map(t => t.name) : [article.topic].filter(Boolean),
+    // Rendered on demand, so conditional requests answered with 304 skip it
+    get html() {
+      return renderMarkdown(article.content).html;
+    },
+    published: toDate(article.published_at || article.created_at),
+    updated: toDate(article.updated_at || article.published_at || article.created_at)
+  }));
+
+  const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+  // Tags are part of it: they are set after the insert or update, possibly
+  // within the same second, so updated_at alone can miss them
+  const fingerprint = items
+    .map((item, i) => `${item.id}:${articles[i].updated_at}:${item.categories.join('|')}`)
+    .join(',');
+  const etag = `"${crypto.createHash('sha1').update(fingerprint).digest('hex')}"`;
+  return { title: tag ? `${feedTitle}: ${tag.name}` : feedTitle, items, updated, etag };
+}
+
+/**
+ * RSS 2.0, with the full rendered HTML in content:encoded
+ */
+export function buildRss({ title, items, updated }, { selfUrl }) {
+  const entries = items.map(
+    item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+${item.categories.map(c => `      <category>${escapeXml(c)}</category>\n`).join('')}${item.summary ? `      <description>${escapeXml(item.summary)}</description>\n` : ''}      <content:encoded>${escapeXml(item.html)}</content:encoded>
+    </item>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(feedDescription)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 (RFC 4287)
+ */
+export function buildAtom({ title, items, updated }, { selfUrl }) {
+  const entries = items.map(
+    item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+${item.categories.map(c => `    <category term="${escapeXml(c)}"/>\n`).join('')}${item.summary ? `    <summary>${escapeXml(item.summary)}</summary>\n` : ''}    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(feedDescription)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <id>${escapeXml(`${siteUrl}/`)}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(feedTitle)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+ */
+export function buildJsonFeed({ title, items }, { selfUrl }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    description: feedDescription,
+    home_page_url: siteUrl,
+    feed_url: selfUrl,
+    items: items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      ...(item.summary ? { summary: item.summary } : {}),
+      content_html: item.html,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      ...(item.categories.length ? { tags: item.categories } : {})
+    }))
+  };
+}
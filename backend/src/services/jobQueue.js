@@ -0,0 +1,200 @@
+import db from '../db.js';
+import { getLogContext, logger, withLogContext } from '../logger.js';
+import { jobRuns } from './metrics.js';
+
+// Worker tuning; retries back off exponentially from the base delay up to the cap
+const concurrency = Math.max(1, Number(process.env.JOB_CONCURRENCY || 1));
+const pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+const retryBaseMs = Number(process.env.JOB_RETRY_BASE_MS || 30_000);
+const retryMaxMs = Number(process.env.JOB_RETRY_MAX_MS || 60 * 60 * 1000);
+export const defaultMaxAttempts = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 3));
+
+const jobColumns =
+  'id, type, payload, status, attempts, max_attempts, run_at, last_error, result, request_id, created_at, started_at, finished_at, updated_at';
+
+const handlers = new Map();
+const failureHandlers = new Map();
+let activeJobs = 0;
+let draining = false;
+let pollTimer = null;
+
+function parseJob(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : {},
+    result: row.result ? JSON.parse(row.result) : null
+  };
+}
+
+/**
+ * Registers the function that runs jobs of a given type
+ * The handler receives (payload, job) and its resolved value is stored as the
+ * job result; throwing marks the attempt as failed and schedules a retry
+ * An error carrying `retryAfterMs` re-queues the job after that delay
+ * without counting the attempt
+ * `onFailed(payload, job, err)` runs once the job has failed for good (its
+ * last attempt threw), e.g. to release what the job had reserved
+ */
+export function registerJobHandler(type, handler, { onFailed } = {}) {
+  handlers.set(type, handler);
+  if (onFailed) failureHandlers.set(type, onFailed);
+  else failureHandlers.delete(type);
+}
+
+export function getJob(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${jobColumns} FROM jobs WHERE id = ?`, [id], (err, row) => {
+      if (err) return reject(err);
+      resolve(parseJob(row));
+    });
+  });
+}
+
+/**
+ * Persists a job and wakes the worker
+ * Resolves to the stored job, which keeps the id of the request that
+ * queued it (if any) for the worker's log entries
+ */
+export function enqueueJob(type, payload = {}, { maxAttempts = defaultMaxAttempts } = {}) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO jobs (type, payload, max_attempts, request_id) VALUES (?, ?, ?, ?)',
+      [type, JSON.stringify(payload), maxAttempts, getLogContext().requestId ?? null],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getJob(this.lastID).then(job => {
+          if (pollTimer) setImmediate(drain);
+          resolve(job);
+        }, reject);
+      }
+    );
+  });
+}
+
+/**
+ * Atomically moves the next due job to running and returns it
+ */
+function claimNextJob() {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+        ORDER BY run_at, id
+        LIMIT 1
+      )
+      RETURNING ${jobColumns}`,
+      (err, row) => {
+        if (err) return reject(err);
+        resolve(parseJob(row));
+      }
+    );
+  });
+}
+
+function updateJob(id, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE jobs SET ${sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...params, id], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+export function retryDelayMs(attempts) {
+  return Math.min(retryMaxMs, retryBaseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    logger.info('Running job', { jobType: job.type, attempt: job.attempts, maxAttempts: job.max_attempts });
+    const result = await handler(job.payload, job);
+    await updateJob(job.id, "status = 'succeeded', result = ?, last_error = NULL, finished_at = CURRENT_TIMESTAMP", [
+      JSON.stringify(result ?? null)
+    ]);
+    jobRuns.inc({ type: job.type, outcome: 'succeeded' });
+    logger.info('Job succeeded', { jobType: job.type });
+  } catch (err) {
+    const message = err?.message || String(err);
+    if (handler && Number.isFinite(err?.retryAfterMs)) {
+      // The handler asked to wait (e.g. for the LLM budget to reset); that does not use up an attempt
+      const delaySeconds = Math.ceil(err.retryAfterMs / 1000);
+      await updateJob(job.id, "status = 'queued', attempts = attempts - 1, last_error = ?, run_at = datetime('now', ?)", [
+        message,
+        `+${delaySeconds} seconds`
+      ]);
+      jobRuns.inc({ type: job.type, outcome: 'deferred' });
+      logger.warn('Job deferred', { jobType: job.type, delaySeconds, reason: message });
+    } else if (handler && job.attempts < job.max_attempts) {
+      const delaySeconds = Math.ceil(retryDelayMs(job.attempts) / 1000);
+      await updateJob(job.id, "status = 'queued', last_error = ?, run_at = datetime('now', ?)", [
+        message,
+        `+${delaySeconds} seconds`
+      ]);
+      jobRuns.inc({ type: job.type, outcome: 'retried' });
+      logger.warn('Job attempt failed; retrying', { jobType: job.type, attempt: job.attempts, delaySeconds, err });
+    } else {
+      await updateJob(job.id, "status = 'failed', last_error = ?, finished_at = CURRENT_TIMESTAMP", [message]);
+      jobRuns.inc({ type: job.type, outcome: 'failed' });
+      logger.error('Job failed', { jobType: job.type, attempts: job.attempts, err });
+      try {
+        await failureHandlers.get(job.type)?.(job.payload, job, err);
+      } catch (hookErr) {
+        logger.error('Job failure handler failed', { jobType: job.type, err: hookErr });
+      }
+    }
+  }
+}
+
+/**
+ * Claims and starts due jobs until the concurrency limit is reached
+ */
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (activeJobs < concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+      activeJobs++;
+      // Entries logged while the job runs carry its id and the id of the request that queued it
+      // (set even when null: a drain woken by enqueueJob() runs inside some other request)
+      withLogContext({ jobId: job.id, requestId: job.request_id ?? undefined }, () => runJob(job))
+        .catch(err => logger.error('Job bookkeeping failed', { jobId: job.id, err }))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(drain);
+        });
+    }
+  } catch (err) {
+    logger.error('Job queue poll failed', { err });
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Starts polling for due jobs. Jobs left running by a previous process
+ * (crash or restart) are put back in the queue first
+ */
+export async function startJobWorker() {
+  if (pollTimer) return;
+  await new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'",
+      function requeueCallback(err) {
+        if (err) return reject(err);
+        if (this.changes) logger.warn('Re-queued interrupted jobs', { count: this.changes });
+        resolve();
+      }
+    );
+  });
+  logger.info('Starting job worker', { concurrency, pollIntervalMs });
+  pollTimer = setInterval(drain, pollIntervalMs);
+  drain();
+}
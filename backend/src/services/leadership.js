@@ -0,0 +1,73 @@
+import pg from 'pg';
+import { logger } from '../logger.js';
+import { repositoryNameFor } from './repositories/index.js';
+
+// How often a standby container tries to take over background work
+const retryIntervalMs = Number(process.env.LEADER_RETRY_INTERVAL_MS || 30_000);
+const LOCK_KEY = "hashtext('assimetria.background.leader')";
+
+let role = 'standby';
+let retryTimer = null;
+
+/**
+ * 'leader' once this process runs the job worker and cron tasks, else 'standby'
+ */
+export function getLeadershipRole() {
+  return role;
+}
+
+/**
+ * Calls `start` once this process may run the background work (job worker,
+ * article schedules, backups), which must only run in one container
+ *
+ * With articles in SQLite there is a single container and it leads right
+ * away. With DATABASE_URL the containers share PostgreSQL and the one holding
+ * a session advisory lock leads; the others retry until it is released. A
+ * leader whose lock connection drops exits, so the restarted container
+ * comes back as a standby instead of running next to a new leader
+ */
+export async function runAsLeader(start) {
+  const url = process.env.DATABASE_URL;
+  if (repositoryNameFor(url) === 'sqlite') {
+    role = 'leader';
+    return start();
+  }
+
+  // Standbys reconnect on their next attempt when the connection drops
+  let client = null;
+  const connect = async () => {
+    const next = new pg.Client({ connectionString: url });
+    next.on('error', err => {
+      if (role === 'leader') {
+        logger.error('Lost the leader lock connection; exiting so background work never runs twice', { err });
+        process.exit(1);
+      }
+      logger.warn('Leader election connection failed', { err });
+      if (client === next) client = null;
+    });
+    await next.connect();
+    return next;
+  };
+
+  const attempt = async () => {
+    client ??= await connect();
+    const { rows } = await client.query(`SELECT pg_try_advisory_lock(${LOCK_KEY}) AS acquired`);
+    if (!rows[0].acquired) return false;
+    clearInterval(retryTimer);
+    retryTimer = null;
+    role = 'leader';
+    logger.info('Became leader; starting background work');
+    await start();
+    return true;
+  };
+
+  if (await attempt()) return;
+  logger.info('Another container leads; background work stays off until it stops', { retryIntervalMs });
+  retryTimer = setInterval(() => {
+    attempt().catch(err => {
+      logger.error('Leader election failed', { err });
+      client?.end().catch(() => {});
+      client = null;
+    });
+  }, retryIntervalMs);
+}
@@ -0,0 +1,177 @@
+import db from '../db.js';
+import { logger } from '../logger.js';
+import { llmModelFailures } from './metrics.js';
+
+/**
+ * Prices used when a provider does not report the cost of a call itself,
+ * as JSON mapping model ids to [prompt, completion] USD per million tokens,
+ * e.g. {"openai/gpt-4o-mini": [0.15, 0.6]}
+ */
+const pricing = (() => {
+  try {
+    return JSON.parse(process.env.LLM_PRICING || '{}');
+  } catch {
+    logger.warn('LLM_PRICING is not valid JSON; costs are only recorded when the provider reports them');
+    return {};
+  }
+})();
+
+/**
+ * Cost of a call in USD: the provider-reported `usage.cost` when present
+ * (OpenRouter), else LLM_PRICING, else 0 for free-tier models; null when unknown
+ */
+function callCost(model, usage) {
+  if (typeof usage?.cost === 'number') return usage.cost;
+  const price = pricing[model];
+  if (Array.isArray(price) && usage) {
+    return ((usage.prompt_tokens || 0) * price[0] + (usage.completion_tokens || 0) * price[1]) / 1_000_000;
+  }
+  if (model?.endsWith(':free')) return 0;
+  return null;
+}
+
+/**
+ * Appends one call to the ledger. Bookkeeping must never break a
+ * generation, so failures are logged and swallowed
+ * Failed and empty calls also count towards llm_model_failures_total
+ * `usage` is the chat completions `usage` object, when the reply had one
+ */
+export async function recordLlmCall({
+  generationId,
+  purpose = 'article',
+  provider,
+  model = null,
+  attemptIndex = null,
+  status,
+  httpStatus = null,
+  latencyMs = null,
+  usage = null,
+  errorClass = null,
+  errorMessage = null
+}) {
+  if (status === 'error' || status === 'empty') llmModelFailures.inc({ provider, model: model ?? 'unknown', status });
+  if (!generationId) return;
+  try {
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO llm_calls (generation_id, purpose, provider, model, attempt_index, status, http_status,
+          latency_ms, prompt_tokens, completion_tokens, total_tokens, cost_usd, error_class, error_message)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          generationId,
+          purpose,
+          provider,
+          model,
+          attemptIndex,
+          status,
+          httpStatus,
+          latencyMs,
+          usage?.prompt_tokens ?? null,
+          usage?.completion_tokens ?? null,
+          usage?.total_tokens ?? null,
+          status === 'fallback' ? null : callCost(model, usage),
+          errorClass,
+          errorMessage ? String(errorMessage).slice(0, 500) : null
+        ],
+        err => (err ? reject(err) : resolve())
+      );
+    });
+  } catch (err) {
+    logger.error('Failed to record LLM call', { err });
+  }
+}
+
+/**
+ * Links every call of a generation to the article it produced
+ */
+export function linkGenerationToArticle(generationId, articleId) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE llm_calls SET article_id = ? WHERE generation_id = ?', [articleId, generationId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Keeps the calls of a deleted article without the link (ON DELETE SET
+ * NULL by hand, for articles in PostgreSQL)
+ */
+export function unlinkArticleCalls(articleId) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE llm_calls SET article_id = NULL WHERE article_id = ?', [articleId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+// Aggregates shared by the per-day, per-model and total breakdowns; fallback
+// rows only mark the generation and are not calls, and diagnostics test
+// calls count as calls but not as generations
+const aggregateColumns = `
+  SUM(status != 'fallback') AS calls,
+  SUM(status = 'success') AS succeeded,
+  SUM(status IN ('error', 'empty')) AS failed,
+  COUNT(DISTINCT CASE WHEN purpose != 'diagnostics' THEN generation_id END) AS generations,
+  SUM(status = 'fallback') AS fallbacks,
+  COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+  ROUND(COALESCE(SUM(cost_usd), 0), 6) AS cost_usd,
+  CAST(ROUND(AVG(latency_ms)) AS INTEGER) AS avg_latency_ms`;
+
+function allRows(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Generation statistics between two UTC dates (YYYY-MM-DD, inclusive)
+ * Resolves to { from, to, totals, byDay, byModel, byErrorClass }
+ */
+export async function getGenerationStats({ from, to }) {
+  const where = 'WHERE date(created_at) BETWEEN ? AND ?';
+  const params = [from, to];
+
+  const [[totals], byDay, byModel, byErrorClass] = await Promise.all([
+    allRows(`SELECT ${aggregateColumns} FROM llm_calls ${where}`, params),
+    allRows(
+      `SELECT date(created_at) AS day, ${aggregateColumns}
+      FROM llm_calls ${where}
+      GROUP BY day ORDER BY day`,
+      params
+    ),
+    allRows(
+      `SELECT provider, model, ${aggregateColumns}
+      FROM llm_calls ${where} AND status != 'fallback'
+      GROUP BY provider, model ORDER BY calls DESC, model`,
+      params
+    ),
+    allRows(
+      `SELECT error_class, COUNT(*) AS calls
+      FROM llm_calls ${where} AND error_class IS NOT NULL
+      GROUP BY error_class ORDER BY calls DESC`,
+      params
+    )
+  ]);
+
+  // SUM() is NULL over an empty range
+  const withRates = row => ({
+    ...row,
+    calls: row.calls || 0,
+    succeeded: row.succeeded || 0,
+    failed: row.failed || 0,
+    success_rate: row.calls ? Number((row.succeeded / row.calls).toFixed(3)) : null
+  });
+
+  return {
+    from,
+    to,
+    totals: withRates({ ...totals, fallbacks: totals.fallbacks || 0 }),
+    byDay: byDay.map(withRates),
+    // Fallbacks belong to generations, not to a model
+    byModel: byModel.map(({ generations, fallbacks, ...row }) => withRates(row)),
+    byErrorClass
+  };
+}
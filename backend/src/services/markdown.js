@@ -0,0 +1,73 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+import { slugify } from './slug.js';
+
+const WORDS_PER_MINUTE = 200;
+
+// Generated markdown is untrusted: keep structural tags, links and code only
+const sanitizeOptions = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    th: ['align'], td: ['align'], ol: ['start']
+  },
+  allowedClasses: { code: ['language-*'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function toPlainText(html) {
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} }).replace(
+    /&(?:amp|lt|gt|quot|#39);/g,
+    entity => entities[entity]
+  );
+}
+
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+}
+
+/**
+ * Renders article markdown to sanitized HTML
+ * Headings get stable ids so the table of contents can link to them
+ * Returns { html, toc: [{ id, text, level }], wordCount, readingTimeMinutes }
+ */
+export function renderMarkdown(markdown) {
+  const toc = [];
+  const idCounts = new Map();
+
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = toPlainText(inner).trim();
+        const base = slugify(text) || 'section';
+        const seen = idCounts.get(base) || 0;
+        idCounts.set(base, seen + 1);
+        const id = seen ? `${base}-${seen + 1}` : base;
+        toc.push({ id, text, level: depth });
+        return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(String(markdown || '')), sanitizeOptions);
+  const wordCount = countWords(toPlainText(html));
+
+  return {
+    html,
+    toc,
+    wordCount,
+    readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  };
+}
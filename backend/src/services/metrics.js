@@ -0,0 +1,54 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics served at GET /metrics, on a registry of their own
+ * next to the default Node.js process metrics
+ */
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  // Generations streamed over SSE stay open for tens of seconds
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry]
+});
+
+export const articleGenerations = new client.Counter({
+  name: 'article_generations_total',
+  help: 'Article generations by outcome: success (model text), fallback (template text) or budget_exceeded',
+  labelNames: ['provider', 'outcome'],
+  registers: [registry]
+});
+
+export const llmModelFailures = new client.Counter({
+  name: 'llm_model_failures_total',
+  help: 'Failed or empty LLM calls by provider and model',
+  labelNames: ['provider', 'model', 'status'],
+  registers: [registry]
+});
+
+export const cronRuns = new client.Counter({
+  name: 'cron_runs_total',
+  help: 'Cron task runs by task (schedule:<name> or backup) and outcome (success or failure)',
+  labelNames: ['task', 'outcome'],
+  registers: [registry]
+});
+
+export const jobRuns = new client.Counter({
+  name: 'job_runs_total',
+  help: 'Background job attempts by type and outcome (succeeded, retried, deferred or failed)',
+  labelNames: ['type', 'outcome'],
+  registers: [registry]
+});
+
+/**
+ * Route label for a finished request: the matched route pattern
+ * (/api/articles/:id), so ids do not create a series each
+ */
+export function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+  return 'unmatched';
+}
@@ -0,0 +1,217 @@
+import db from '../db.js';
+import { articleJsonSchema } from './articleSchema.js';
+import { getArticleRepository } from './repositories/index.js';
+
+// Placeholders a template can use as {{name}}; topic and schema are filled per generation
+export const PROMPT_VARIABLES = ['topic', 'word_limit', 'audience', 'tone', 'schema'];
+// Variables a template stores its own values for
+export const PROMPT_SETTINGS = ['word_limit', 'audience', 'tone'];
+
+export const DEFAULT_PROMPT_VARIABLES = {
+  word_limit: 250,
+  audience: 'B2B SaaS and open-source Web3 infrastructure teams',
+  tone: 'concise'
+};
+
+/**
+ * The prompt that was hard-coded before templates moved to the database;
+ * seeded as article-json v1 and used whenever no template is active
+ */
+export const DEFAULT_PROMPT_TEMPLATE = {
+  name: 'article-json',
+  version: 1,
+  system_template:
+    'You are a {{tone}} blog writer specializing in B2B SaaS and open-source Web3 infrastructure topics. Write short markdown articles (<={{word_limit}} words) with a title and a few paragraphs. Focus exclusively on topics related to B2B SaaS (product-led growth, customer success, pricing strategies, go-to-market, retention, etc.) or open-source Web3 infrastructure (blockchain networks, decentralized storage, smart contracts, DeFi protocols, DAOs, etc.). ' +
+    'Reply with a single JSON object and nothing else - no preamble, no code fences. ' +
+    'It must match this JSON Schema: {{schema}}. ' +
+    '"body_markdown" holds the article body in markdown without the title heading; "summary" is one or two sentences; "tags" are 1-5 short lowercase topics.',
+  user_template:
+    'Write a {{tone}} blog post about "{{topic}}". The article must focus on B2B SaaS or open-source Web3 infrastructure topics. The body should be 2-4 short paragraphs. Do not write about general engineering productivity, software development practices, or generic tech topics - only B2B SaaS or Web3 infrastructure.',
+  variables: DEFAULT_PROMPT_VARIABLES
+};
+
+const placeholderPattern = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const templateColumns =
+  'id, name, version, system_template, user_template, variables, notes, is_active, created_at, activated_at';
+
+function toPromptTemplate(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    label: promptLabel(row),
+    variables: JSON.parse(row.variables),
+    is_active: row.is_active === 1
+  };
+}
+
+/**
+ * The version label stored on articles, e.g. article-json-v1
+ */
+export function promptLabel({ name, version }) {
+  return `${name}-v${version}`;
+}
+
+/**
+ * Placeholder names a template uses that are not in PROMPT_VARIABLES
+ */
+export function unknownPlaceholders(text) {
+  return [...String(text).matchAll(placeholderPattern)]
+    .map(match => match[1])
+    .filter(name => !PROMPT_VARIABLES.includes(name));
+}
+
+/**
+ * Fills a template's placeholders for a topic
+ * Resolves to { system, prompt, version, wordLimit } where `version` is the
+ * template's label and `wordLimit` the length the prompt asks for
+ */
+export function renderPrompt(template, { topic }) {
+  const values = {
+    ...DEFAULT_PROMPT_VARIABLES,
+    ...template.variables,
+    topic,
+    schema: JSON.stringify(articleJsonSchema)
+  };
+  const fill = text => text.replace(placeholderPattern, (match, name) => (name in values ? String(values[name]) : match));
+  return {
+    system: fill(template.system_template),
+    prompt: fill(template.user_template),
+    version: promptLabel(template),
+    wordLimit: Number(values.word_limit)
+  };
+}
+
+/**
+ * Every template, newest version of each name first
+ */
+export function listPromptTemplates() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT ${templateColumns} FROM prompt_templates ORDER BY name, version DESC`, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows.map(toPromptTemplate));
+    });
+  });
+}
+
+export function getPromptTemplate(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${templateColumns} FROM prompt_templates WHERE id = ?`, [id], (err, row) => {
+      if (err) return reject(err);
+      resolve(toPromptTemplate(row));
+    });
+  });
+}
+
+/**
+ * The template new generations use, or undefined when none is active
+ */
+export function getActivePromptTemplate() {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${templateColumns} FROM prompt_templates WHERE is_active = 1`, (err, row) => {
+      if (err) return reject(err);
+      resolve(toPromptTemplate(row));
+    });
+  });
+}
+
+/**
+ * Stores a new, inactive version of the named template (1 for a new name)
+ * Templates are never edited in place, so an article's prompt_version
+ * always points at the text that produced it
+ */
+export function createPromptTemplate({ name, system_template, user_template, variables = {}, notes = null }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO prompt_templates (name, version, system_template, user_template, variables, notes)
+      SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ? FROM prompt_templates WHERE name = ?`,
+      [name, system_template, user_template, JSON.stringify(variables), notes, name],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getPromptTemplate(this.lastID).then(resolve, reject);
+      }
+    );
+  });
+}
+
+/**
+ * Makes a template the one new generations use, deactivating the previous one
+ * Resolves to the template, or undefined when it does not exist
+ */
+export async function activatePromptTemplate(id) {
+  const template = await getPromptTemplate(id);
+  if (!template) return undefined;
+
+  // One statement, so there is never a moment with zero or two active templates
+  await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE prompt_templates
+      SET is_active = CASE WHEN id = ? THEN 1 ELSE 0 END,
+        activated_at = CASE WHEN id = ? THEN CURRENT_TIMESTAMP ELSE activated_at END
+      WHERE is_active = 1 OR id = ?`,
+      [id, id, id],
+      err => {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+  return getPromptTemplate(id);
+}
+
+function allRows(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Articles and quality checks per prompt version between `from` and `to`
+ * (YYYY-MM-DD, UTC, inclusive)
+ * Checks include retried and rejected generations, which never became articles
+ */
+export async function getPromptStats({ from, to }) {
+  const [articles, checks] = await Promise.all([
+    getArticleRepository().promptVersionCounts({ from, to }),
+    allRows(
+      `SELECT prompt_version, COUNT(*) AS checks,
+        SUM(passed) AS passed,
+        SUM(outcome = 'reject') AS rejected,
+        SUM(outcome = 'retry') AS retried,
+        AVG(json_extract(metrics, '$.word_count')) AS avg_word_count,
+        AVG(json_extract(metrics, '$.similarity')) AS avg_similarity
+      FROM quality_checks
+      WHERE prompt_version IS NOT NULL AND date(created_at) BETWEEN ? AND ?
+      GROUP BY prompt_version`,
+      [from, to]
+    )
+  ]);
+
+  const versions = new Map();
+  for (const row of articles) versions.set(row.prompt_version, { ...row });
+  for (const row of checks) versions.set(row.prompt_version, { ...versions.get(row.prompt_version), ...row });
+
+  const round = (value, digits) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+  return {
+    from,
+    to,
+    versions: [...versions.values()]
+      .map(row => ({
+        prompt_version: row.prompt_version,
+        articles: row.articles || 0,
+        published: row.published || 0,
+        drafts: row.drafts || 0,
+        checks: row.checks || 0,
+        passed: row.passed || 0,
+        rejected: row.rejected || 0,
+        retried: row.retried || 0,
+        pass_rate: row.checks ? round(row.passed / row.checks, 3) : null,
+        avg_word_count: round(row.avg_word_count, 1),
+        avg_similarity: round(row.avg_similarity, 3)
+      }))
+      .sort((a, b) => a.prompt_version.localeCompare(b.prompt_version, undefined, { numeric: true }))
+  };
+}
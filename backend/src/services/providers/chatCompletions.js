@@ -0,0 +1,180 @@
+/**
+ * Helpers shared by providers that speak the OpenAI chat completions format
+ * (OpenRouter, Ollama, LM Studio, vLLM, ...)
+ */
+
+/**
+ * Normalizes a chat completions response body
+ * OpenAI-compatible APIs answer with:
+ * {
+ *   "choices": [{
+ *     "message": {
+ *       "content": "generated text..."
+ *     }
+ *   }]
+ * }
+ */
+export function normalizeGeneratedText(response) {
+  if (!response) return null;
+  
+  // Handle OpenAI-compatible format
+  if (response.choices && Array.isArray(response.choices) && response.choices.length > 0) {
+    const choice = response.choices[0];
+    // Chat completions format
+    if (choice.message && choice.message.content) {
+      return choice.message.content;
+    }
+    // Completions format (legacy)
+    if (choice.text) {
+      return choice.text;
+    }
+  }
+  
+  // Fallback: try to extract text from various possible formats
+  if (typeof response === 'string') return response;
+  if (response.content) return response.content;
+  if (response.text) return response.text;
+  
+  return null;
+}
+
+/**
+ * Builds a chat completions request payload with a system and a user message
+ */
+export function buildChatPayload({ system, prompt, model, maxTokens, temperature }) {
+  return {
+    model: model,
+    messages: [
+      {
+        role: 'system',
+        content: system
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    max_tokens: maxTokens,
+    temperature: temperature,
+    top_p: 0.9
+  };
+}
+
+/**
+ * Formats HTTP errors for better logging
+ */
+export function formatHttpError(err) {
+  if (!err) return { error: 'Unknown error' };
+  if (err.response) {
+    return {
+      status: err.response.status,
+      data: err.response.data,
+      message: err.response.data?.error?.message || err.message
+    };
+  }
+  if (err.name === 'AbortError' || err.code === 'ECONNABORTED') {
+    return { error: 'Request timed out' };
+  }
+  return { error: err.message || 'Unknown error' };
+}
+
+/**
+ * Coarse error class for the LLM call ledger
+ */
+export function classifyHttpError(err) {
+  const status = err?.response?.status;
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 404) return 'model_not_found';
+  if (status >= 400 && status < 500) return 'bad_request';
+  if (status >= 500) return 'server_error';
+  if (err?.name === 'AbortError' || err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') return 'timeout';
+  if (err?.request) return 'network';
+  return 'unknown';
+}
+
+/**
+ * Reads a streamed chat completions body (server-sent events), passing each
+ * content fragment to onToken as it arrives
+ * Resolves to { text, usage } when the stream ends; an error chunk sent
+ * mid-stream rejects like an HTTP error with that status
+ */
+export function readChatStream(stream, onToken) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let text = '';
+    let usage;
+    let failure = null;
+
+    const handleLine = line => {
+      // Other lines are comments such as ": OPENROUTER PROCESSING" that keep the connection open
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (chunk.error) {
+        failure = Object.assign(new Error(chunk.error.message || 'Stream failed'), {
+          response: { status: Number(chunk.error.code) || undefined, data: chunk }
+        });
+        return;
+      }
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', data => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => handleLine(line.trim()));
+    });
+    stream.on('end', () => {
+      handleLine(buffer.trim());
+      if (failure) return reject(failure);
+      resolve({ text, usage });
+    });
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Sends a chat completions request through `post(payload, axiosOptions)`
+ * With `onToken` the reply is streamed (`stream: true`) and every content
+ * fragment is passed to it as the model writes
+ * Resolves to { text, usage, data }; `data` is the response body, null when streamed
+ */
+export async function requestChatCompletion(post, payload, onToken) {
+  if (!onToken) {
+    const { data } = await post(payload);
+    return { text: normalizeGeneratedText(data), usage: data?.usage, data };
+  }
+
+  try {
+    const response = await post({ ...payload, stream: true }, { responseType: 'stream' });
+    const { text, usage } = await readChatStream(response.data, onToken);
+    return { text: text || null, usage, data: null };
+  } catch (err) {
+    // Error bodies arrive as a stream too; read them so logs and the ledger get the message
+    const body = err.response?.data;
+    if (body && typeof body.on === 'function') {
+      let raw = '';
+      for await (const chunk of body) raw += chunk;
+      try {
+        err.response.data = JSON.parse(raw);
+      } catch {
+        err.response.data = raw;
+      }
+    }
+    throw err;
+  }
+}
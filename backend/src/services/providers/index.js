@@ -0,0 +1,50 @@
+import { createOpenRouterProvider } from './openRouter.js';
+import { createOpenAICompatibleProvider } from './openAICompatible.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * LLM providers, selected with the AI_PROVIDER env var
+ *
+ * Every provider exposes the same shape:
+ *   name            - identifier reported in logs and diagnostics
+ *   defaultModel    - model used when a request does not name one
+ *   candidateModels - models worth comparing side by side, default first
+ *                     (the free-tier list on OpenRouter)
+ *   isConfigured()  - false when generation cannot work (e.g. missing API key)
+ *   generate({ system, prompt, topic, model, format, generationId, purpose, fallback, onEvent })
+ *                   - resolves to { text, model }, or null when every attempt
+ *                     failed; format 'json' means the prompt asks for a JSON
+ *                     reply. With fallback: false only `model` is tried,
+ *                     never the provider's fallback models. Each attempt is recorded in the LLM call ledger
+ *                     under generationId, tagged with purpose (article/repair).
+ *                     With onEvent the reply is streamed and onEvent receives
+ *                     { type: 'attempt', model, attempt, purpose },
+ *                     { type: 'token', text } and
+ *                     { type: 'fallback', from, to, reason }
+ *   diagnostics()   - resolves to a connection report for /diagnostics/ai
+ */
+const providerFactories = {
+  openrouter: createOpenRouterProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+export const providerNames = Object.keys(providerFactories);
+
+let activeProvider = null;
+
+/**
+ * Returns the provider chosen by AI_PROVIDER (default: openrouter),
+ * created on first use so .env has been loaded by then
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.AI_PROVIDER || 'openrouter').trim().toLowerCase();
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${providerNames.join(', ')}`);
+    }
+    activeProvider = factory(process.env);
+  }
+  return activeProvider;
+}
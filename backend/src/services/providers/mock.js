@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { recordLlmCall } from '../llmLedger.js';
+import { logger } from '../../logger.js';
+
+const mockModel = 'mock/deterministic-v1';
+
+const openers = [
+  'Teams investing in {topic} are discovering that small, measurable bets compound quickly.',
+  'Few areas have matured as fast as {topic} over the last two years.',
+  '{topic} is moving from early-adopter experiment to board-level priority.'
+];
+const middles = [
+  'The winners instrument everything: activation, retention and expansion are tracked weekly, and every roadmap decision is tied back to one of them.',
+  'Open standards and composable infrastructure lower switching costs, which forces vendors to compete on reliability and developer experience.',
+  'Pricing tied to usage aligns revenue with delivered value, but it demands clear metering and predictable bills for customers.'
+];
+const closers = [
+  'Start with one workflow, prove the value, then expand deliberately.',
+  'The next twelve months will reward teams that pair ambition with operational discipline.',
+  'Treat it as a product, not a project, and the results will follow.'
+];
+
+function pick(list, seed) {
+  return list[seed % list.length];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Deterministic offline provider for development and tests
+ * The same request always yields the same article, with no network access
+ * Streamed replies (with `onEvent`) arrive in small chunks every
+ * MOCK_STREAM_DELAY_MS, so the live preview can be tried offline
+ */
+export function createMockProvider(env = process.env) {
+  const streamDelayMs = Number(env.MOCK_STREAM_DELAY_MS ?? 20);
+
+  logger.info('AI client configured', { provider: 'mock', streamDelayMs });
+
+  async function generate({ prompt, topic, model, format, generationId, purpose, onEvent }) {
+    const subject = topic || 'B2B SaaS and open-source Web3 infrastructure';
+    const digest = crypto.createHash('sha256').update(`${model || mockModel}\n${prompt}`).digest();
+    const fill = template => template.replace('{topic}', subject);
+
+    const title = `${capitalize(subject)}: What Matters Now`;
+    const opener = capitalize(fill(pick(openers, digest[0])));
+    const body = [opener, pick(middles, digest[1]), pick(closers, digest[2])].join('\n\n');
+
+    const text =
+      format === 'json'
+        ? JSON.stringify({
+            title,
+            summary: opener,
+            body_markdown: body,
+            tags: [subject.toLowerCase().slice(0, 40), 'mock']
+          })
+        : `# ${title}\n\n${body}`;
+
+    if (onEvent) {
+      onEvent({ type: 'attempt', model: model || mockModel, attempt: 1, purpose });
+      for (const chunk of text.match(/[\s\S]{1,12}/g)) {
+        if (streamDelayMs > 0) await sleep(streamDelayMs);
+        onEvent({ type: 'token', text: chunk });
+      }
+    }
+
+    await recordLlmCall({
+      generationId,
+      purpose,
+      provider: 'mock',
+      model: model || mockModel,
+      attemptIndex: 0,
+      status: 'success',
+      latencyMs: 0
+    });
+    return { text, model: model || mockModel };
+  }
+
+  async function diagnostics() {
+    return {
+      provider: 'mock',
+      configuredModel: mockModel,
+      errors: [],
+      warnings: ['Mock provider in use: articles are deterministic placeholders'],
+      success: true
+    };
+  }
+
+  return {
+    name: 'mock',
+    defaultModel: mockModel,
+    candidateModels: [mockModel],
+    isConfigured: () => true,
+    generate,
+    diagnostics
+  };
+}
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import {
+  buildChatPayload,
+  classifyHttpError,
+  formatHttpError,
+  normalizeGeneratedText,
+  requestChatCompletion
+} from './chatCompletions.js';
+import { reserveLlmCall } from '../budgetService.js';
+import { recordLlmCall } from '../llmLedger.js';
+import { logger } from '../../logger.js';
+
+const defaultBaseUrl = 'http://localhost:11434/v1'; // Ollama's OpenAI-compatible API
+const defaultModel = 'llama3.2';
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (Ollama, LM Studio, vLLM, llama.cpp server, OpenAI itself)
+ * Tries the requested or configured model, then OPENAI_FALLBACK_MODELS in order
+ */
+export function createOpenAICompatibleProvider(env = process.env) {
+  const baseUrl = (env.OPENAI_BASE_URL || defaultBaseUrl).replace(/\/+$/, '');
+  const apiKey = env.OPENAI_API_KEY;
+  const configuredModel = (env.OPENAI_MODEL || env.AI_MODEL || '').trim() || defaultModel;
+  const fallbackModels = (env.OPENAI_FALLBACK_MODELS || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean);
+  const apiTimeoutMs = Number(env.OPENAI_TIMEOUT_MS || 60_000);
+  const maxTokens = Number(env.OPENAI_MAX_TOKENS || 500);
+  const temperature = Number(env.OPENAI_TEMPERATURE || 0.7);
+
+  const log = logger.child({ provider: 'openai-compatible' });
+  log.info('AI client configured', {
+    endpoint: baseUrl,
+    model: configuredModel,
+    apiKeySet: !!apiKey,
+    timeoutMs: apiTimeoutMs,
+    maxTokens
+  });
+
+  // Local servers usually ignore auth, so the header is only sent when a key is set
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  };
+
+  const postChatCompletion = (payload, options = {}) =>
+    axios.post(`${baseUrl}/chat/completions`, payload, { headers, timeout: apiTimeoutMs, ...options });
+
+  /**
+   * Resolves to { text, model } or null when every model failed
+   * Every model attempt is recorded in the LLM call ledger under `generationId`
+   * With `onEvent` the reply is streamed, with the same events as OpenRouter
+   * (attempt, token, fallback); `fallback: false` skips OPENAI_FALLBACK_MODELS
+   */
+  async function generate({ system, prompt, model: preferredModel, generationId, purpose, fallback = true, onEvent }) {
+    const primary = preferredModel || configuredModel;
+    const models = fallback ? [...new Set([primary, ...fallbackModels])] : [primary];
+    const genLog = log.child({ generationId, purpose });
+
+    for (const [attemptIndex, model] of models.entries()) {
+      await reserveLlmCall();
+      const attempt = { generationId, purpose, provider: 'openai-compatible', model, attemptIndex };
+      const startedAt = Date.now();
+      let failureReason = 'empty reply';
+      onEvent?.({ type: 'attempt', model, attempt: attemptIndex + 1, purpose });
+      try {
+        genLog.info('Attempting generation', { model, attempt: attemptIndex + 1 });
+        const onToken = onEvent && (text => onEvent({ type: 'token', text }));
+        const { text, usage, data } = await requestChatCompletion(
+          postChatCompletion,
+          buildChatPayload({ system, prompt, model, maxTokens, temperature }),
+          onToken
+        );
+        await recordLlmCall({
+          ...attempt,
+          status: text ? 'success' : 'empty',
+          httpStatus: 200,
+          latencyMs: Date.now() - startedAt,
+          usage
+        });
+        if (text) {
+          genLog.info('Generation succeeded', { model, latencyMs: Date.now() - startedAt });
+          return { text, model };
+        }
+        genLog.warn('Endpoint returned no text', { model, response: data ? JSON.stringify(data).slice(0, 500) : '(empty stream)' });
+      } catch (err) {
+        const errorInfo = formatHttpError(err);
+        failureReason = errorInfo.message || errorInfo.error;
+        await recordLlmCall({
+          ...attempt,
+          status: 'error',
+          httpStatus: errorInfo.status,
+          latencyMs: Date.now() - startedAt,
+          errorClass: classifyHttpError(err),
+          errorMessage: errorInfo.message || errorInfo.error
+        });
+        genLog.error('Generation failed', { model, status: errorInfo.status, error: errorInfo.message || errorInfo.error });
+      }
+
+      const nextModel = models[attemptIndex + 1];
+      if (nextModel) onEvent?.({ type: 'fallback', from: model, to: nextModel, reason: failureReason });
+    }
+
+    genLog.error('All generation attempts failed', { endpoint: baseUrl });
+    return null;
+  }
+
+  /**
+   * Checks that the endpoint is reachable, lists its models and runs a tiny generation
+   */
+  async function diagnostics() {
+    const result = {
+      provider: 'openai-compatible',
+      baseUrl,
+      hasApiKey: !!apiKey,
+      configuredModel,
+      fallbackModels,
+      errors: [],
+      warnings: [],
+      success: false
+    };
+
+    try {
+      const { data } = await axios.get(`${baseUrl}/models`, { headers, timeout: 10000 });
+      const models = (data?.data || []).map(m => m.id).filter(Boolean);
+      result.availableModels = models.slice(0, 20);
+      if (models.length && !models.includes(configuredModel)) {
+        result.warnings.push(`Configured model "${configuredModel}" not listed by the endpoint`);
+      }
+    } catch (err) {
+      const errorInfo = formatHttpError(err);
+      result.warnings.push(`Could not list models: ${errorInfo.message || errorInfo.error}`);
+    }
+
+    // The test generation counts against the budget and is recorded in the
+    // ledger like any other call
+    try {
+      await reserveLlmCall();
+    } catch (err) {
+      result.errors.push(`Generation test skipped: ${err.message}`);
+      return result;
+    }
+    const call = {
+      generationId: crypto.randomUUID(),
+      purpose: 'diagnostics',
+      provider: 'openai-compatible',
+      model: configuredModel
+    };
+    const startedAt = Date.now();
+    try {
+      const { data } = await postChatCompletion(
+        buildChatPayload({
+          system: 'You are a helpful assistant.',
+          prompt: 'Say "test" in one word.',
+          model: configuredModel,
+          maxTokens,
+          temperature
+        })
+      );
+      const text = normalizeGeneratedText(data);
+      await recordLlmCall({
+        ...call,
+        status: text ? 'success' : 'empty',
+        httpStatus: 200,
+        latencyMs: Date.now() - startedAt,
+        usage: data?.usage
+      });
+      if (text) {
+        result.success = true;
+        result.testResponse = text.substring(0, 100);
+      } else {
+        result.errors.push('Endpoint returned data but could not extract text');
+      }
+    } catch (err) {
+      const errorInfo = formatHttpError(err);
+      await recordLlmCall({
+        ...call,
+        status: 'error',
+        httpStatus: errorInfo.status,
+        latencyMs: Date.now() - startedAt,
+        errorClass: classifyHttpError(err),
+        errorMessage: errorInfo.message || errorInfo.error
+      });
+      result.errors.push(`Generation test failed: ${errorInfo.message || errorInfo.error}`);
+      result.statusCode = errorInfo.status;
+    }
+
+    return result;
+  }
+
+  return {
+    name: 'openai-compatible',
+    defaultModel: configuredModel,
+    candidateModels: [...new Set([configuredModel, ...fallbackModels])],
+    isConfigured: () => true,
+    generate,
+    diagnostics
+  };
+}
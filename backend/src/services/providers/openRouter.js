@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import {
+  buildChatPayload,
+  classifyHttpError,
+  formatHttpError,
+  normalizeGeneratedText,
+  requestChatCompletion
+} from './chatCompletions.js';
+import { reserveLlmCall } from '../budgetService.js';
+import { recordLlmCall } from '../llmLedger.js';
+import { logger } from '../../logger.js';
+
+// OpenRouter Configuration
+// Free-tier models: meta-llama/llama-3.2-3b-instruct:free, meta-llama/llama-3.1-8b-instruct:free
+// For better quality (paid): google/gemini-1.5-flash-latest, meta-llama/llama-3.3-70b-instruct
+// Check available models at: https://openrouter.ai/models
+export const fallbackModel = 'meta-llama/llama-3.2-3b-instruct:free'; // Stable free-tier model
+export const alternativeFreeModels = [
+  'meta-llama/llama-3.2-3b-instruct:free',
+  'meta-llama/llama-3.1-8b-instruct:free',
+  'google/gemini-flash-1.5:free',
+  'mistralai/mistral-7b-instruct:free',
+  'qwen/qwen-2-7b-instruct:free'
+];
+const openRouterApiUrl = 'https://openrouter.ai/api/v1/chat/completions';
+const openRouterModelsUrl = 'https://openrouter.ai/api/v1/models';
+
+/**
+ * Provider backed by OpenRouter's chat completions API
+ * Tries the configured model first, then the other free-tier models
+ */
+export function createOpenRouterProvider(env = process.env) {
+  const token = env.OPENROUTER_API_KEY;
+  const configuredModel = (env.AI_MODEL || '').trim() || fallbackModel;
+  const apiTimeoutMs = Number(env.OPENROUTER_TIMEOUT_MS || 30_000);
+  const maxTokens = Number(env.OPENROUTER_MAX_TOKENS || 500);
+  const temperature = Number(env.OPENROUTER_TEMPERATURE || 0.7);
+  const attributionHeaders = {
+    'HTTP-Referer': env.OPENROUTER_HTTP_REFERER || 'http://localhost:4000',
+    'X-Title': env.OPENROUTER_X_TITLE || 'Assimetria Challenge'
+  };
+
+  const log = logger.child({ provider: 'openrouter' });
+
+  // Log configuration on creation; only whether the key is set, never any of it
+  log.info('AI client configured', { model: configuredModel, apiKeySet: !!token, timeoutMs: apiTimeoutMs, maxTokens });
+
+  function postChatCompletion(payload, options = {}) {
+    return axios.post(openRouterApiUrl, payload, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...attributionHeaders
+      },
+      timeout: apiTimeoutMs,
+      ...options
+    });
+  }
+
+  function fetchModels(timeout) {
+    return axios.get(openRouterModelsUrl, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...attributionHeaders
+      },
+      timeout
+    });
+  }
+
+  // Outcome of the token check, kept for the process lifetime so generations
+  // do not each spend an extra (unbudgeted, unledgered) request on it
+  let tokenCheck = null;
+
+  /**
+   * Verifies the OpenRouter API token once by listing the models; an
+   * inconclusive check (network error) is not kept, so the next call tries again
+   */
+  function verifyToken() {
+    tokenCheck ??= checkToken().then(({ valid, conclusive }) => {
+      if (!conclusive) tokenCheck = null;
+      return valid;
+    });
+    return tokenCheck;
+  }
+
+  async function checkToken() {
+    try {
+      // Try to get models list to verify token and show available free models
+      const response = await fetchModels(5000);
+
+      // Log available free models for debugging
+      if (response.data?.data) {
+        const freeModels = response.data.data
+          .filter(m => m.id && m.id.includes(':free'))
+          .map(m => m.id)
+          .slice(0, 5); // Show first 5 free models
+
+        if (freeModels.length > 0) {
+          log.debug('OpenRouter token verified', { freeModels });
+        } else {
+          log.debug('OpenRouter token verified; no free models found, check https://openrouter.ai/models');
+        }
+      } else {
+        log.debug('OpenRouter token verified');
+      }
+
+      return { valid: true, conclusive: true };
+    } catch (err) {
+      if (err.response?.status === 401) {
+        log.error('OpenRouter token verification failed: invalid API key');
+        return { valid: false, conclusive: true };
+      }
+      // If verification fails for other reasons (network, etc.), continue anyway
+      log.warn('Could not verify OpenRouter token; continuing', { err: err.message });
+      return { valid: true, conclusive: false };
+    }
+  }
+
+  /**
+   * Orders the models to try: the requested (or configured) model first,
+   * then the free-tier alternatives (unless `fallback` is false), without duplicates
+   */
+  function modelsToTry(preferredModel, { fallback = true } = {}) {
+    const primary = preferredModel || configuredModel;
+    return fallback ? [...new Set([primary, ...alternativeFreeModels])] : [primary];
+  }
+
+  /**
+   * Generates text using OpenRouter's API
+   * Uses chat completions endpoint which is the recommended approach
+   * Every model attempt is recorded in the LLM call ledger under `generationId`
+   * With `onEvent` the reply is streamed: it receives { type: 'attempt' },
+   * { type: 'token' } for each fragment and { type: 'fallback' } when the
+   * next model takes over; with `fallback: false` only the requested model is tried
+   * Resolves to { text, model } or null when every model failed
+   */
+  async function generate({ system, prompt, model: preferredModel, generationId, purpose, fallback, onEvent }) {
+    const genLog = log.child({ generationId, purpose });
+    if (!token) {
+      genLog.warn('OPENROUTER_API_KEY not set; using deterministic fallback text');
+      return null;
+    }
+
+    // Verify token first (once per process; optional but helpful for debugging)
+    const tokenValid = await verifyToken();
+    if (!tokenValid) {
+      genLog.error('Token verification failed', {
+        hint: 'Check OPENROUTER_API_KEY in backend/.env, that the key is valid at https://openrouter.ai/keys, and that you have credits or use a free-tier model'
+      });
+      return null;
+    }
+
+    const uniqueModels = modelsToTry(preferredModel, { fallback });
+    genLog.info('Trying models', { models: uniqueModels });
+
+    let lastError = null;
+
+    for (const [attemptIndex, model] of uniqueModels.entries()) {
+      // Each model attempt is a billable call; an exhausted budget ends the loop
+      await reserveLlmCall();
+      const attempt = { generationId, purpose, provider: 'openrouter', model, attemptIndex };
+      const startedAt = Date.now();
+      let failureReason = 'empty reply';
+      onEvent?.({ type: 'attempt', model, attempt: attemptIndex + 1, purpose });
+      try {
+        // usage.include asks OpenRouter to report the call's cost alongside the token counts
+        const payload = { ...buildChatPayload({ system, prompt, model, maxTokens, temperature }), usage: { include: true } };
+
+        genLog.info('Attempting generation', { model, attempt: attemptIndex + 1 });
+
+        const onToken = onEvent && (text => onEvent({ type: 'token', text }));
+        const { text, usage, data } = await requestChatCompletion(postChatCompletion, payload, onToken);
+
+        await recordLlmCall({
+          ...attempt,
+          status: text ? 'success' : 'empty',
+          httpStatus: 200,
+          latencyMs: Date.now() - startedAt,
+          usage
+        });
+        if (text) {
+          genLog.info('Generation succeeded', { model, latencyMs: Date.now() - startedAt });
+          return { text, model };
+        } else if (data) {
+          genLog.warn("OpenRouter returned data but couldn't extract text", {
+            model,
+            response: JSON.stringify(data).slice(0, 500),
+            keys: Object.keys(data || {})
+          });
+        } else {
+          genLog.warn('OpenRouter stream ended without any text', { model });
+        }
+      } catch (err) {
+        const errorInfo = formatHttpError(err);
+        const status = errorInfo.status;
+
+        lastError = err;
+        failureReason = errorInfo.message || errorInfo.error;
+        await recordLlmCall({
+          ...attempt,
+          status: 'error',
+          httpStatus: status,
+          latencyMs: Date.now() - startedAt,
+          usage: errorInfo.data?.usage,
+          errorClass: classifyHttpError(err),
+          errorMessage: errorInfo.message || errorInfo.error
+        });
+
+        if (status === 401) {
+          genLog.error('Authentication failed; check your OPENROUTER_API_KEY', { model, details: errorInfo.data });
+          // Don't try other models if auth fails
+          break;
+        } else if (status === 429) {
+          genLog.warn('Rate limit exceeded', {
+            model,
+            hint: 'Free tier daily limit (50 requests/day without credits) or too many requests in a short time'
+          });
+          // Continue to try fallback model
+        } else if (status === 400) {
+          genLog.error('Bad request', { model, error: errorInfo.message });
+          // Model might not exist or have wrong format, try next
+        } else if (status === 404) {
+          genLog.error('Model not found or not available', { model });
+          // Try next model
+        } else {
+          genLog.error('OpenRouter API call failed', { model, status, error: errorInfo.message || errorInfo.error });
+        }
+      }
+
+      const nextModel = uniqueModels[attemptIndex + 1];
+      if (nextModel) onEvent?.({ type: 'fallback', from: model, to: nextModel, reason: failureReason });
+    }
+
+    if (lastError) {
+      const errorInfo = formatHttpError(lastError);
+      genLog.error('All OpenRouter attempts failed', {
+        error: errorInfo.message || errorInfo.error,
+        status: errorInfo.status,
+        details: errorInfo.data,
+        hint: 'Run GET /api/articles/diagnostics/ai to check the API key, available :free models and rate limits'
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Diagnoses OpenRouter connection issues
+   * Returns diagnostic information about API key, model availability, etc.
+   */
+  async function diagnostics() {
+    const result = {
+      provider: 'openrouter',
+      hasApiKey: !!token,
+      apiKeyLength: token ? token.length : 0,
+      configuredModel: configuredModel,
+      fallbackModel: fallbackModel,
+      errors: [],
+      warnings: [],
+      success: false
+    };
+
+    if (!token) {
+      result.errors.push('OPENROUTER_API_KEY is not set');
+      return result;
+    }
+
+    // Test token verification
+    try {
+      const response = await fetchModels(10000);
+
+      if (response.data?.data) {
+        const freeModels = response.data.data
+          .filter(m => m.id && m.id.includes(':free'))
+          .map(m => m.id);
+
+        result.availableFreeModels = freeModels.slice(0, 10);
+        result.modelCount = freeModels.length;
+
+        // Check if configured model is available
+        const modelAvailable = freeModels.some(m => m === configuredModel);
+        if (!modelAvailable) {
+          result.warnings.push(`Configured model "${configuredModel}" not found in available free models`);
+        }
+      }
+    } catch (err) {
+      if (err.response?.status === 401) {
+        result.errors.push('API key is invalid (401 Unauthorized)');
+      } else {
+        result.errors.push(`Failed to verify API key: ${err.message}`);
+      }
+      return result;
+    }
+
+    // Test actual generation; it is billable, so it counts against the
+    // budget and is recorded in the ledger like any other call
+    try {
+      await reserveLlmCall();
+    } catch (err) {
+      result.errors.push(`Generation test skipped: ${err.message}`);
+      return result;
+    }
+    const call = { generationId: crypto.randomUUID(), purpose: 'diagnostics', provider: 'openrouter', model: configuredModel };
+    const startedAt = Date.now();
+    try {
+      const payload = {
+        ...buildChatPayload({
+          system: 'You are a helpful assistant.',
+          prompt: 'Say "test" in one word.',
+          model: configuredModel,
+          maxTokens,
+          temperature
+        }),
+        usage: { include: true }
+      };
+      const { data } = await postChatCompletion(payload);
+
+      const text = normalizeGeneratedText(data);
+      await recordLlmCall({
+        ...call,
+        status: text ? 'success' : 'empty',
+        httpStatus: 200,
+        latencyMs: Date.now() - startedAt,
+        usage: data?.usage
+      });
+      if (text) {
+        result.success = true;
+        result.testResponse = text.substring(0, 100);
+      } else {
+        result.errors.push('API returned data but could not extract text');
+        result.rawResponse = JSON.stringify(data).substring(0, 200);
+      }
+    } catch (err) {
+      const errorInfo = formatHttpError(err);
+      await recordLlmCall({
+        ...call,
+        status: 'error',
+        httpStatus: errorInfo.status,
+        latencyMs: Date.now() - startedAt,
+        usage: errorInfo.data?.usage,
+        errorClass: classifyHttpError(err),
+        errorMessage: errorInfo.message || errorInfo.error
+      });
+      result.errors.push(`Generation test failed: ${errorInfo.message || errorInfo.error}`);
+      result.statusCode = errorInfo.status;
+      result.errorDetails = errorInfo.data;
+    }
+
+    return result;
+  }
+
+  return {
+    name: 'openrouter',
+    defaultModel: configuredModel,
+    candidateModels: modelsToTry(),
+    isConfigured: () => !!token,
+    generate,
+    diagnostics
+  };
+}
@@ -0,0 +1,204 @@
+import db from '../db.js';
+import { countWords } from './markdown.js';
+import { preamblePattern } from './articleSchema.js';
+import { jaccard, shingles, tokenize } from './textSimilarity.js';
+import { getArticleRepository } from './repositories/index.js';
+
+export const QUALITY_ACTIONS = ['draft', 'retry', 'reject', 'off'];
+
+/**
+ * What happens to a generation that fails the gate: stored as a draft,
+ * generated again (QUALITY_RETRY_ATTEMPTS times, then a draft), rejected
+ * with an error, or stored as requested (off, checks are still recorded)
+ */
+export const qualityAction = QUALITY_ACTIONS.includes(process.env.QUALITY_GATE_ACTION)
+  ? process.env.QUALITY_GATE_ACTION
+  : 'draft';
+export const qualityRetryAttempts = Math.max(0, Number(process.env.QUALITY_RETRY_ATTEMPTS ?? 1));
+
+// Body length bounds; the maximum only applies when the prompt's word_limit is unknown
+const minWords = Number(process.env.QUALITY_MIN_WORDS || 40);
+const maxWords = Number(process.env.QUALITY_MAX_WORDS || 250);
+// Shingle overlap with a recent article at which a generation counts as a near-duplicate
+const duplicateThreshold = Number(process.env.QUALITY_DUPLICATE_THRESHOLD || 0.5);
+const recentArticleWindow = Number(process.env.QUALITY_RECENT_ARTICLES || 50);
+
+const listSetting = (value, defaults) =>
+  value === undefined
+    ? defaults
+    : value
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+
+// Chat leftovers that should never reach readers (case-insensitive substrings)
+const bannedPhrases = listSetting(process.env.QUALITY_BANNED_PHRASES, [
+  'as an ai',
+  'language model',
+  'i hope this helps',
+  'let me know if',
+  'feel free to ask',
+  "here's your article",
+  'here is your article',
+  'word count:'
+]);
+
+// The prompt restricts articles to B2B SaaS and Web3 infrastructure; at
+// least one of these must appear (an empty QUALITY_DOMAIN_KEYWORDS disables the check)
+const domainKeywords = listSetting(process.env.QUALITY_DOMAIN_KEYWORDS, [
+  'saas', 'b2b', 'customer', 'retention', 'churn', 'pricing', 'subscription', 'onboarding',
+  'revenue', 'product-led', 'go-to-market', 'web3', 'blockchain', 'decentrali', 'protocol',
+  'smart contract', 'defi', 'dao', 'token', 'validator', 'on-chain', 'open-source', 'infrastructure'
+]);
+
+/**
+ * Thrown when QUALITY_GATE_ACTION is reject and a generation fails the gate
+ */
+export class QualityGateError extends Error {
+  constructor(topic, issues) {
+    super(`Generated article for "${topic}" failed the quality gate: ${issues.map(i => i.message).join('; ')}`);
+    this.name = 'QualityGateError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Topic words as loose stems, so "retention" also matches "retain"
+ */
+function topicKeywords(topic) {
+  return [...new Set(tokenize(topic))].map(word => (word.length > 5 ? word.slice(0, 5) : word));
+}
+
+function recentArticles() {
+  return getArticleRepository().recent(recentArticleWindow);
+}
+
+/**
+ * Runs every check on a generated article ({ title, summary, content })
+ * `excludeArticleId` leaves an article out of the duplicate check, e.g. the
+ * one a regenerated candidate would replace; `wordLimit` is the length the
+ * prompt asked for and replaces QUALITY_MAX_WORDS
+ * Resolves to { passed, issues: [{ rule, message }], metrics }
+ */
+export async function evaluateArticle(
+  { title, summary, content },
+  { topic, excludeArticleId, wordLimit } = {}
+) {
+  const issues = [];
+  const text = [title, summary, content].filter(Boolean).join('\n\n');
+  const lowered = text.toLowerCase();
+
+  const wordCount = countWords(content);
+  const max = wordLimit > 0 ? wordLimit : maxWords;
+  const min = Math.min(minWords, max);
+  if (wordCount < min || wordCount > max) {
+    issues.push({
+      rule: 'word_count',
+      message: `${wordCount} words, expected ${min}-${max}`
+    });
+  }
+
+  const firstLine = String(content || '').trim().split('\n')[0].trim();
+  if (preamblePattern.test(firstLine) || preamblePattern.test(String(title || '').trim())) {
+    issues.push({ rule: 'banned_phrase', message: `Starts with a chat preamble: "${firstLine.slice(0, 60)}"` });
+  }
+  for (const phrase of bannedPhrases.filter(p => lowered.includes(p))) {
+    issues.push({ rule: 'banned_phrase', message: `Contains "${phrase}"` });
+  }
+
+  const keywords = topic ? topicKeywords(topic) : [];
+  if (keywords.length && !keywords.some(keyword => lowered.includes(keyword))) {
+    issues.push({ rule: 'topic', message: `Does not mention the topic "${topic}"` });
+  }
+  if (domainKeywords.length && !domainKeywords.some(keyword => lowered.includes(keyword))) {
+    issues.push({ rule: 'off_topic', message: 'Mentions nothing related to B2B SaaS or Web3 infrastructure' });
+  }
+
+  const ownShingles = shingles(content);
+  let closest = null;
+  for (const article of await recentArticles()) {
+    if (article.id === excludeArticleId) continue;
+    const similarity = jaccard(ownShingles, shingles(article.content));
+    if (!closest || similarity > closest.similarity) closest = { id: article.id, title: article.title, similarity };
+  }
+  if (closest && closest.similarity >= duplicateThreshold) {
+    issues.push({
+      rule: 'duplicate',
+      message: `Near-duplicate of article #${closest.id} "${closest.title}" (similarity ${closest.similarity.toFixed(2)})`
+    });
+  }
+
+  return {
+    passed: issues.length === 0,
+    issues,
+    metrics: {
+      word_count: wordCount,
+      closest_article_id: closest?.id ?? null,
+      similarity: closest ? Number(closest.similarity.toFixed(3)) : null
+    }
+  };
+}
+
+/**
+ * Stores the outcome of a check; `articleId` is null for rejected generations
+ * `promptVersion` is the prompt template label the generation used
+ */
+export function recordQualityCheck(
+  check,
+  { generationId = null, articleId = null, topic = null, promptVersion = null, outcome }
+) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO quality_checks (generation_id, article_id, topic, prompt_version, passed, outcome, issues, metrics)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        generationId,
+        articleId,
+        topic,
+        promptVersion,
+        check.passed ? 1 : 0,
+        outcome,
+        JSON.stringify(check.issues),
+        JSON.stringify(check.metrics)
+      ],
+      err => {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+}
+
+function toQualityCheck(row) {
+  return { ...row, passed: row.passed === 1, issues: JSON.parse(row.issues), metrics: JSON.parse(row.metrics) };
+}
+
+/**
+ * Checks recorded for an article, newest first
+ */
+export function listQualityChecks(articleId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, generation_id, article_id, topic, prompt_version, passed, outcome, issues, metrics, created_at
+      FROM quality_checks WHERE article_id = ? ORDER BY id DESC`,
+      [articleId],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows.map(toQualityCheck));
+      }
+    );
+  });
+}
+
+/**
+ * Keeps the checks of a deleted article without the link (ON DELETE SET
+ * NULL by hand, for articles in PostgreSQL)
+ */
+export function unlinkQualityChecks(articleId) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE quality_checks SET article_id = NULL WHERE article_id = ?', [articleId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,77 @@
+import db from '../../db.js';
+import { createSqliteArticleRepository } from './sqlite.js';
+import { createPostgresArticleRepository } from './postgres.js';
+
+export { HIGHLIGHT_CLOSE, HIGHLIGHT_OPEN, SlugTakenError, toArticleId } from './shared.js';
+
+/**
+ * Article storage, selected with the DATABASE_URL env var
+ *
+ * Every repository exposes the same promise-based shape; articles are
+ * plain rows with `tags` as [{ name, slug }] and timestamps as
+ * 'YYYY-MM-DD HH:MM:SS' UTC strings:
+ *   name                 - 'sqlite' or 'postgres'
+ *   init() / close()     - create the schema if the backend owns it / release connections
+ *   count()              - number of articles
+ *   list({ page, limit, from, to, topic, status, source, tag, view })
+ *                        - { articles, total }, newest first; status 'all' lists every
+ *                          state and view 'summary' swaps content for an `excerpt`
+ *   listAll({ status })  - every matching article, oldest first
+ *   recent(limit)        - the newest [{ id, title, content }]
+ *   search(terms, { page, limit, tag })
+ *                        - { articles, total } of published articles matching every
+ *                          term as a prefix, best first; `title_html` and `snippet`
+ *                          wrap matches in HIGHLIGHT_OPEN/HIGHLIGHT_CLOSE
+ *   get(id) / getBySlug(slug) / exists(id) / slugExists(slug)
+ *                        - ids may be strings as in route params; ids that are not
+ *                          positive integers (see toArticleId) are never found
+ *   insert(fields)       - resolves to the new id; keeps fields.id when given and
+ *                          stamps the timestamps left out (published_at only when
+ *                          published). Throws SlugTakenError on a duplicate slug
+ *   update(id, fields, { publish })
+ *                        - false when the article does not exist; bumps updated_at
+ *                          unless given, and publish stamps published_at once
+ *   delete(id)           - false when the article does not exist
+ *   setTags(articleId, [{ name, slug }]) / getTag(slug) / listTags()
+ *   promptVersionCounts({ from, to })
+ *                        - [{ prompt_version, articles, published, drafts }] for
+ *                          articles created on those days (YYYY-MM-DD)
+ *   transaction(fn)      - runs fn(repository) with every call on that repository in
+ *                          one transaction: committed when fn resolves, rolled back
+ *                          when it throws. Resolves to fn's result
+ */
+let activeRepository = null;
+
+/**
+ * Which backend a DATABASE_URL selects: PostgreSQL for postgres:// and
+ * postgresql:// URLs, the local SQLite database (data/blog.db) when unset
+ */
+export function repositoryNameFor(url) {
+  if (!url) return 'sqlite';
+  if (/^postgres(ql)?:\/\//.test(url)) return 'postgres';
+  throw new Error(`Unsupported DATABASE_URL "${url.split(':')[0]}:...". Expected postgres:// or postgresql://`);
+}
+
+/**
+ * Returns the repository chosen by DATABASE_URL (default: SQLite),
+ * created on first use so .env has been loaded by then
+ */
+export function getArticleRepository() {
+  if (!activeRepository) {
+    const url = process.env.DATABASE_URL;
+    activeRepository =
+      repositoryNameFor(url) === 'postgres'
+        ? createPostgresArticleRepository({ connectionString: url })
+        : createSqliteArticleRepository(db);
+  }
+  return activeRepository;
+}
+
+/**
+ * Closes the repository's connections if one was created; for scripts
+ */
+export async function closeArticleRepository() {
+  if (!activeRepository) return;
+  await activeRepository.close();
+  activeRepository = null;
+}
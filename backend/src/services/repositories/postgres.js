@@ -0,0 +1,358 @@
+import pg from 'pg';
+import { HIGHLIGHT_CLOSE, HIGHLIGHT_OPEN, SlugTakenError, toArticleId } from './shared.js';
+
+const SUMMARY_LENGTH = 200;
+const TIMESTAMP_OID = 1114;
+const INT8_OID = 20;
+
+// Timestamps are stored as UTC without a zone, like SQLite's CURRENT_TIMESTAMP
+const NOW = "date_trunc('second', now() AT TIME ZONE 'UTC')";
+
+/**
+ * Articles and their tags; created on first start (several containers may
+ * start at once, hence the lock). Full-text search uses a generated
+ * tsvector with titles weighted above content
+ */
+const schema = `
+  SELECT pg_advisory_xact_lock(hashtext('assimetria.articles.schema'));
+  CREATE TABLE IF NOT EXISTS articles (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    slug TEXT UNIQUE,
+    title TEXT NOT NULL,
+    summary TEXT,
+    content TEXT NOT NULL,
+    topic TEXT,
+    status TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published', 'archived')),
+    source TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'fallback', 'manual', 'seed')),
+    model TEXT,
+    prompt_version TEXT,
+    generation_id TEXT,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT ${NOW},
+    published_at TIMESTAMP(0),
+    updated_at TIMESTAMP(0),
+    search TSVECTOR GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', title), 'A') || setweight(to_tsvector('english', content), 'B')
+    ) STORED
+  );
+  CREATE INDEX IF NOT EXISTS idx_articles_created_at ON articles (created_at);
+  CREATE INDEX IF NOT EXISTS idx_articles_status ON articles (status);
+  CREATE INDEX IF NOT EXISTS idx_articles_prompt_version ON articles (prompt_version);
+  CREATE INDEX IF NOT EXISTS idx_articles_search ON articles USING GIN (search);
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP(0) NOT NULL DEFAULT ${NOW}
+  );
+  CREATE TABLE IF NOT EXISTS article_tags (
+    article_id INTEGER NOT NULL REFERENCES articles (id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+    PRIMARY KEY (article_id, tag_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_article_tags_tag ON article_tags (tag_id);`;
+
+// Tags of the article in `table`, as a JSON array of { name, slug }
+const tagsColumn = table => `COALESCE((
+  SELECT json_agg(json_build_object('name', t.name, 'slug', t.slug) ORDER BY t.name)
+  FROM article_tags links JOIN tags t ON t.id = links.tag_id
+  WHERE links.article_id = ${table}.id
+), '[]') AS tags`;
+const articleColumns = `id, slug, title, summary, content, topic, status, created_at, published_at, updated_at,
+  source, model, prompt_version, generation_id, ${tagsColumn('articles')}`;
+const summaryColumns = `id, slug, title, summary, topic, status, source, created_at, published_at, updated_at,
+  ${tagsColumn('articles')},
+  COALESCE(summary, substr(content, 1, ${SUMMARY_LENGTH})) AS excerpt`;
+
+// Columns insert() and update() accept
+const writableColumns = [
+  'slug',
+  'title',
+  'summary',
+  'content',
+  'topic',
+  'status',
+  'source',
+  'model',
+  'prompt_version',
+  'generation_id',
+  'created_at',
+  'published_at',
+  'updated_at'
+];
+
+// Returns a placeholder ($1, $2...) for each value added
+function parameters() {
+  const values = [];
+  const add = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  return { values, add };
+}
+
+const tagFilter = (table, placeholder) =>
+  `${table}.id IN (SELECT links.article_id FROM article_tags links JOIN tags t ON t.id = links.tag_id WHERE t.slug = ${placeholder})`;
+
+/**
+ * Builds the WHERE clause shared by the listing and count queries
+ */
+function buildListFilters({ from, to, topic, status, source, tag }, add) {
+  const clauses = [];
+  if (status !== 'all') clauses.push(`status = ${add(status)}`);
+  if (from) clauses.push(`created_at >= ${add(from)}`);
+  if (to) clauses.push(`created_at <= ${add(to)}`);
+  if (topic) clauses.push(`topic ILIKE ${add(`%${topic}%`)}`);
+  if (source) clauses.push(`source = ${add(source)}`);
+  if (tag) clauses.push(tagFilter('articles', add(tag)));
+  return clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+}
+
+/**
+ * Search terms as a tsquery: every term must match, as a prefix
+ */
+const toTsQuery = terms => terms.map(term => `${term}:*`).join(' & ');
+
+const headlineOptions = `StartSel=${HIGHLIGHT_OPEN}, StopSel=${HIGHLIGHT_CLOSE}`;
+
+function isSlugConflict(err) {
+  return err?.code === '23505' && err.constraint === 'articles_slug_key';
+}
+
+/**
+ * Runs fn(client) between BEGIN and COMMIT on one pooled connection, rolling
+ * back when it throws
+ */
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The repository's queries over `executor` (the pool, or the client of a
+ * transaction); `transaction(fn)` runs fn(client) atomically on it
+ */
+function articleQueries(executor, transaction) {
+  const all = async (sql, values = []) => (await executor.query(sql, values)).rows;
+  const get = async (sql, values = []) => (await all(sql, values))[0];
+
+  return {
+    async count() {
+      const row = await get('SELECT COUNT(*) AS count FROM articles');
+      return row.count;
+    },
+
+    async list({ page, limit, from, to, topic, status, source, tag, view }) {
+      const { values, add } = parameters();
+      const where = buildListFilters({ from, to, topic, status, source, tag }, add);
+      const columns = view === 'summary' ? summaryColumns : articleColumns;
+      const filterValues = [...values];
+      const [rows, count] = await Promise.all([
+        all(
+          `SELECT ${columns} FROM articles ${where}
+          ORDER BY articles.created_at DESC, articles.id DESC LIMIT ${add(limit)} OFFSET ${add((page - 1) * limit)}`,
+          values
+        ),
+        get(`SELECT COUNT(*) AS total FROM articles ${where}`, filterValues)
+      ]);
+      return { articles: rows, total: count.total };
+    },
+
+    async listAll({ status }) {
+      const { values, add } = parameters();
+      const where = buildListFilters({ status }, add);
+      return all(`SELECT ${articleColumns} FROM articles ${where} ORDER BY articles.created_at, articles.id`, values);
+    },
+
+    recent: limit =>
+      all('SELECT id, title, content FROM articles ORDER BY created_at DESC, id DESC LIMIT $1', [limit]),
+
+    async search(terms, { page, limit, tag }) {
+      const { values, add } = parameters();
+      const query = add(toTsQuery(terms));
+      const where = `WHERE a.search @@ to_tsquery('english', ${query}) AND a.status = 'published'${
+        tag ? ` AND ${tagFilter('a', add(tag))}` : ''
+      }`;
+      const filterValues = [...values];
+      const [rows, count] = await Promise.all([
+        all(
+          `SELECT a.id, a.slug, a.title, a.topic, a.created_at, ${tagsColumn('a')},
+            ts_headline('english', a.title, to_tsquery('english', ${query}), ${add(`${headlineOptions}, HighlightAll=true`)}) AS title_html,
+            ts_headline('english', a.content, to_tsquery('english', ${query}),
+              ${add(`${headlineOptions}, MaxWords=24, MinWords=12, MaxFragments=1, FragmentDelimiter=…`)}) AS snippet,
+            ts_rank(a.search, to_tsquery('english', ${query})) AS rank
+          FROM articles a
+          ${where}
+          ORDER BY rank DESC, a.id DESC
+          LIMIT ${add(limit)} OFFSET ${add((page - 1) * limit)}`,
+          values
+        ),
+        get(`SELECT COUNT(*) AS total FROM articles a ${where}`, filterValues)
+      ]);
+      return { articles: rows, total: count.total };
+    },
+
+    async get(id) {
+      const articleId = toArticleId(id);
+      return articleId ? get(`SELECT ${articleColumns} FROM articles WHERE id = $1`, [articleId]) : undefined;
+    },
+
+    getBySlug: slug => get(`SELECT ${articleColumns} FROM articles WHERE slug = $1`, [slug]),
+
+    async exists(id) {
+      const articleId = toArticleId(id);
+      return articleId ? Boolean(await get('SELECT 1 FROM articles WHERE id = $1', [articleId])) : false;
+    },
+
+    slugExists: async slug => Boolean(await get('SELECT 1 FROM articles WHERE slug = $1', [slug])),
+
+    async insert(fields) {
+      const { values, add } = parameters();
+      const columns = writableColumns.filter(column => fields[column] !== undefined);
+      const placeholders = columns.map(column => add(fields[column]));
+      if (fields.id) {
+        columns.unshift('id');
+        placeholders.unshift(add(fields.id));
+      }
+      // Timestamps the caller leaves out are stamped now; published_at only for published articles
+      const stamped = ['created_at', 'updated_at', ...(fields.status === 'published' ? ['published_at'] : [])].filter(
+        column => fields[column] === undefined
+      );
+      try {
+        const row = await get(
+          `INSERT INTO articles (${[...columns, ...stamped].join(', ')})
+          VALUES (${[...placeholders, ...stamped.map(() => NOW)].join(', ')})
+          RETURNING id`,
+          values
+        );
+        // Keep the identity sequence ahead of ids given explicitly (imports)
+        if (fields.id) {
+          await executor.query(
+            "SELECT setval(pg_get_serial_sequence('articles', 'id'), (SELECT MAX(id) FROM articles))"
+          );
+        }
+        return row.id;
+      } catch (err) {
+        if (isSlugConflict(err)) throw new SlugTakenError(fields.slug);
+        throw err;
+      }
+    },
+
+    async update(id, fields, { publish = false } = {}) {
+      const articleId = toArticleId(id);
+      if (!articleId) return false;
+      const { values, add } = parameters();
+      const assignments = writableColumns
+        .filter(column => fields[column] !== undefined)
+        .map(column => `${column} = ${add(fields[column])}`);
+      if (publish) assignments.push(`published_at = COALESCE(published_at, ${NOW})`);
+      if (fields.updated_at === undefined) assignments.push(`updated_at = ${NOW}`);
+      try {
+        const { rowCount } = await executor.query(
+          `UPDATE articles SET ${assignments.join(', ')} WHERE id = ${add(articleId)}`,
+          values
+        );
+        return rowCount > 0;
+      } catch (err) {
+        if (isSlugConflict(err)) throw new SlugTakenError(fields.slug);
+        throw err;
+      }
+    },
+
+    async delete(id) {
+      const articleId = toArticleId(id);
+      if (!articleId) return false;
+      const { rowCount } = await executor.query('DELETE FROM articles WHERE id = $1', [articleId]);
+      return rowCount > 0;
+    },
+
+    // One transaction, so readers never see an article with half its tags
+    setTags: (articleId, tags) =>
+      transaction(async client => {
+        await client.query('DELETE FROM article_tags WHERE article_id = $1', [articleId]);
+        for (const tag of tags) {
+          await client.query('INSERT INTO tags (name, slug) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING', [
+            tag.name,
+            tag.slug
+          ]);
+          await client.query(
+            `INSERT INTO article_tags (article_id, tag_id) SELECT $1, id FROM tags WHERE slug = $2
+            ON CONFLICT DO NOTHING`,
+            [articleId, tag.slug]
+          );
+        }
+      }),
+
+    getTag: slug => get('SELECT id, name, slug FROM tags WHERE slug = $1', [slug]),
+
+    listTags: () =>
+      all(
+        `SELECT t.name, t.slug, COUNT(*) AS article_count
+        FROM tags t
+        JOIN article_tags links ON links.tag_id = t.id
+        JOIN articles a ON a.id = links.article_id AND a.status = 'published'
+        GROUP BY t.id
+        ORDER BY article_count DESC, t.name`
+      ),
+
+    promptVersionCounts: ({ from, to }) =>
+      all(
+        `SELECT prompt_version, COUNT(*) AS articles,
+          COUNT(*) FILTER (WHERE status = 'published') AS published,
+          COUNT(*) FILTER (WHERE status = 'draft') AS drafts
+        FROM articles
+        WHERE prompt_version IS NOT NULL AND created_at::date BETWEEN $1 AND $2
+        GROUP BY prompt_version`,
+        [from, to]
+      )
+  };
+}
+
+/**
+ * The article repository over PostgreSQL (DATABASE_URL=postgres://...),
+ * so several backend containers can share the same articles
+ */
+export function createPostgresArticleRepository({ connectionString }) {
+  const pool = new pg.Pool({
+    connectionString,
+    types: {
+      // Timestamps as SQLite-style strings and counts as numbers, matching the SQLite repository
+      getTypeParser(oid, format) {
+        if (oid === TIMESTAMP_OID) return value => value;
+        if (oid === INT8_OID) return Number;
+        return pg.types.getTypeParser(oid, format);
+      }
+    }
+  });
+
+  return {
+    name: 'postgres',
+
+    async init() {
+      await pool.query(schema);
+    },
+
+    close: () => pool.end(),
+
+    ...articleQueries(pool, fn => inTransaction(pool, fn)),
+
+    transaction: fn =>
+      inTransaction(pool, client => {
+        const repository = {
+          name: 'postgres',
+          ...articleQueries(client, run => run(client)),
+          transaction: inner => inner(repository)
+        };
+        return fn(repository);
+      })
+  };
+}
@@ -0,0 +1,28 @@
+// Control characters search results wrap around matches; articleService
+// swaps them for <mark> after HTML escaping
+export const HIGHLIGHT_OPEN = '\u0002';
+export const HIGHLIGHT_CLOSE = '\u0003';
+
+/**
+ * Thrown by insert() and update() when another article already has the slug
+ */
+export class SlugTakenError extends Error {
+  constructor(slug) {
+    super(`Slug "${slug}" is already in use`);
+    this.name = 'SlugTakenError';
+    this.slug = slug;
+  }
+}
+
+// Largest id an INTEGER column holds in PostgreSQL (SQLite allows more, but ids never get there)
+const MAX_ARTICLE_ID = 2 ** 31 - 1;
+
+/**
+ * Parses an article id as given to the API (route params are strings);
+ * null for anything but a positive integer in range, which no article has,
+ * so both repositories answer "not found" instead of failing on the cast
+ */
+export function toArticleId(value) {
+  const id = typeof value === 'number' ? value : /^\d+$/.test(String(value ?? '')) ? Number(value) : NaN;
+  return Number.isSafeInteger(id) && id > 0 && id <= MAX_ARTICLE_ID ? id : null;
+}
@@ -0,0 +1,321 @@
+import sqlite3 from 'sqlite3';
+import { HIGHLIGHT_CLOSE, HIGHLIGHT_OPEN, SlugTakenError, toArticleId } from './shared.js';
+
+const SUMMARY_LENGTH = 200;
+
+// Tags of the article in `table`, as a JSON array of { name, slug } (see toArticle)
+const tagsColumn = table => `(
+  SELECT json_group_array(json_object('name', name, 'slug', slug))
+  FROM (
+    SELECT t.name, t.slug FROM article_tags at JOIN tags t ON t.id = at.tag_id
+    WHERE at.article_id = ${table}.id ORDER BY t.name
+  )
+) AS tags`;
+const articleColumns = `id, slug, title, summary, content, topic, status, created_at, published_at, updated_at,
+  source, model, prompt_version, generation_id, ${tagsColumn('articles')}`;
+const summaryColumns = `id, slug, title, summary, topic, status, source, created_at, published_at, updated_at,
+  ${tagsColumn('articles')},
+  COALESCE(summary, substr(content, 1, ${SUMMARY_LENGTH})) AS excerpt`;
+
+// Columns insert() and update() accept
+const writableColumns = [
+  'slug',
+  'title',
+  'summary',
+  'content',
+  'topic',
+  'status',
+  'source',
+  'model',
+  'prompt_version',
+  'generation_id',
+  'created_at',
+  'published_at',
+  'updated_at'
+];
+
+/**
+ * Parses the JSON tags column into [{ name, slug }]
+ */
+function toArticle(row) {
+  if (!row) return row;
+  return { ...row, tags: JSON.parse(row.tags || '[]') };
+}
+
+// Matches articles of `table` carrying the tag whose slug is the next parameter
+const tagFilter = table =>
+  `${table}.id IN (SELECT at.article_id FROM article_tags at JOIN tags t ON t.id = at.tag_id WHERE t.slug = ?)`;
+
+/**
+ * Builds the WHERE clause shared by the listing and count queries
+ */
+function buildListFilters({ from, to, topic, status, source, tag }) {
+  const clauses = [];
+  const params = [];
+  if (status !== 'all') {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  if (from) {
+    clauses.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('created_at <= ?');
+    params.push(to);
+  }
+  if (topic) {
+    clauses.push('topic LIKE ?');
+    params.push(`%${topic}%`);
+  }
+  if (source) {
+    clauses.push('source = ?');
+    params.push(source);
+  }
+  if (tag) {
+    clauses.push(tagFilter('articles'));
+    params.push(tag);
+  }
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Search terms as an FTS5 query: every term must match, as a prefix
+ */
+const toMatchQuery = terms => terms.map(term => `"${term}"*`).join(' ');
+
+function isSlugConflict(err) {
+  return err?.code === 'SQLITE_CONSTRAINT' && /articles\.slug/.test(err.message);
+}
+
+// How long a connection waits for another one's write lock (see transaction())
+export const BUSY_TIMEOUT_MS = 10_000;
+
+function exec(connection, sql) {
+  return new Promise((resolve, reject) => connection.exec(sql, err => (err ? reject(err) : resolve())));
+}
+
+/**
+ * Opens a second connection to the database file for a transaction
+ */
+function openConnection(filename) {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(filename, err => {
+      if (err) return reject(err);
+      connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      exec(connection, 'PRAGMA foreign_keys = ON').then(() => resolve(connection), reject);
+    });
+  });
+}
+
+/**
+ * The article repository over the local SQLite database, whose schema the
+ * versioned migrations own; searches use the articles_fts FTS5 index
+ * `inTransaction` marks the repository transaction() hands out
+ */
+export function createSqliteArticleRepository(db, { inTransaction = false } = {}) {
+  const get = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function runCallback(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+
+  const repository = {
+    name: 'sqlite',
+
+    // Migrations create the schema before the server starts
+    init: async () => {},
+
+    // The connection is shared with the rest of the app, which closes it
+    close: async () => {},
+
+    async count() {
+      const row = await get('SELECT COUNT(*) AS count FROM articles');
+      return row.count;
+    },
+
+    async list({ page, limit, from, to, topic, status, source, tag, view }) {
+      const { where, params } = buildListFilters({ from, to, topic, status, source, tag });
+      const columns = view === 'summary' ? summaryColumns : articleColumns;
+      const [rows, count] = await Promise.all([
+        all(`SELECT ${columns} FROM articles ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`, [
+          ...params,
+          limit,
+          (page - 1) * limit
+        ]),
+        get(`SELECT COUNT(*) AS total FROM articles ${where}`, params)
+      ]);
+      return { articles: rows.map(toArticle), total: count.total };
+    },
+
+    async listAll({ status }) {
+      const { where, params } = buildListFilters({ status });
+      const rows = await all(`SELECT ${articleColumns} FROM articles ${where} ORDER BY created_at, id`, params);
+      return rows.map(toArticle);
+    },
+
+    recent: limit =>
+      all('SELECT id, title, content FROM articles ORDER BY created_at DESC, id DESC LIMIT ?', [limit]),
+
+    async search(terms, { page, limit, tag }) {
+      const query = toMatchQuery(terms);
+      const tagClause = tag ? ` AND ${tagFilter('a')}` : '';
+      const tagParams = tag ? [tag] : [];
+      const [rows, count] = await Promise.all([
+        all(
+          `SELECT a.id, a.slug, a.title, a.topic, a.created_at, ${tagsColumn('a')},
+            highlight(articles_fts, 0, ?, ?) AS title_html,
+            snippet(articles_fts, 1, ?, ?, '…', 24) AS snippet,
+            bm25(articles_fts, 5.0, 1.0) AS rank
+          FROM articles_fts
+          JOIN articles a ON a.id = articles_fts.rowid
+          WHERE articles_fts MATCH ? AND a.status = 'published'${tagClause}
+          ORDER BY rank
+          LIMIT ? OFFSET ?`,
+          [HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, query, ...tagParams, limit, (page - 1) * limit]
+        ),
+        get(
+          `SELECT COUNT(*) AS total
+          FROM articles_fts
+          JOIN articles a ON a.id = articles_fts.rowid
+          WHERE articles_fts MATCH ? AND a.status = 'published'${tagClause}`,
+          [query, ...tagParams]
+        )
+      ]);
+      return { articles: rows.map(toArticle), total: count.total };
+    },
+
+    async get(id) {
+      const articleId = toArticleId(id);
+      return articleId ? toArticle(await get(`SELECT ${articleColumns} FROM articles WHERE id = ?`, [articleId])) : undefined;
+    },
+
+    getBySlug: async slug => toArticle(await get(`SELECT ${articleColumns} FROM articles WHERE slug = ?`, [slug])),
+
+    async exists(id) {
+      const articleId = toArticleId(id);
+      return articleId ? Boolean(await get('SELECT 1 FROM articles WHERE id = ?', [articleId])) : false;
+    },
+
+    slugExists: async slug => Boolean(await get('SELECT 1 FROM articles WHERE slug = ?', [slug])),
+
+    async insert(fields) {
+      const columns = writableColumns.filter(column => fields[column] !== undefined);
+      const values = columns.map(column => fields[column]);
+      if (fields.id) {
+        columns.unshift('id');
+        values.unshift(fields.id);
+      }
+      // Timestamps the caller leaves out are stamped now; published_at only for published articles
+      const stamped = ['created_at', 'updated_at', ...(fields.status === 'published' ? ['published_at'] : [])].filter(
+        column => fields[column] === undefined
+      );
+      try {
+        const { lastID } = await run(
+          `INSERT INTO articles (${[...columns, ...stamped].join(', ')})
+          VALUES (${[...values.map(() => '?'), ...stamped.map(() => 'CURRENT_TIMESTAMP')].join(', ')})`,
+          values
+        );
+        return lastID;
+      } catch (err) {
+        if (isSlugConflict(err)) throw new SlugTakenError(fields.slug);
+        throw err;
+      }
+    },
+
+    async update(id, fields, { publish = false } = {}) {
+      const articleId = toArticleId(id);
+      if (!articleId) return false;
+      const columns = writableColumns.filter(column => fields[column] !== undefined);
+      const assignments = columns.map(column => `${column} = ?`);
+      if (publish) assignments.push('published_at = COALESCE(published_at, CURRENT_TIMESTAMP)');
+      if (fields.updated_at === undefined) assignments.push('updated_at = CURRENT_TIMESTAMP');
+      try {
+        const { changes } = await run(`UPDATE articles SET ${assignments.join(', ')} WHERE id = ?`, [
+          ...columns.map(column => fields[column]),
+          articleId
+        ]);
+        return changes > 0;
+      } catch (err) {
+        if (isSlugConflict(err)) throw new SlugTakenError(fields.slug);
+        throw err;
+      }
+    },
+
+    async delete(id) {
+      const articleId = toArticleId(id);
+      if (!articleId) return false;
+      const { changes } = await run('DELETE FROM articles WHERE id = ?', [articleId]);
+      return changes > 0;
+    },
+
+    async setTags(articleId, tags) {
+      await run('DELETE FROM article_tags WHERE article_id = ?', [articleId]);
+      for (const tag of tags) {
+        await run('INSERT INTO tags (name, slug) VALUES (?, ?) ON CONFLICT (slug) DO NOTHING', [tag.name, tag.slug]);
+        await run('INSERT OR IGNORE INTO article_tags (article_id, tag_id) SELECT ?, id FROM tags WHERE slug = ?', [
+          articleId,
+          tag.slug
+        ]);
+      }
+    },
+
+    getTag: slug => get('SELECT id, name, slug FROM tags WHERE slug = ?', [slug]),
+
+    listTags: () =>
+      all(
+        `SELECT t.name, t.slug, COUNT(*) AS article_count
+        FROM tags t
+        JOIN article_tags at ON at.tag_id = t.id
+        JOIN articles a ON a.id = at.article_id AND a.status = 'published'
+        GROUP BY t.id
+        ORDER BY article_count DESC, t.name`
+      ),
+
+    promptVersionCounts: ({ from, to }) =>
+      all(
+        `SELECT prompt_version, COUNT(*) AS articles,
+          SUM(status = 'published') AS published,
+          SUM(status = 'draft') AS drafts
+        FROM articles
+        WHERE prompt_version IS NOT NULL AND date(created_at) BETWEEN ? AND ?
+        GROUP BY prompt_version`,
+        [from, to]
+      )
+  };
+
+  // The transaction gets a connection of its own: on the shared one, writes
+  // other requests make meanwhile would commit or roll back with it. They
+  // wait for its lock instead (BUSY_TIMEOUT_MS)
+  repository.transaction = async fn => {
+    if (inTransaction) return fn(repository);
+    const connection = await openConnection(db.filename);
+    try {
+      await exec(connection, 'BEGIN IMMEDIATE');
+      try {
+        const result = await fn(createSqliteArticleRepository(connection, { inTransaction: true }));
+        await exec(connection, 'COMMIT');
+        return result;
+      } catch (err) {
+        await exec(connection, 'ROLLBACK').catch(() => {});
+        throw err;
+      }
+    } finally {
+      await new Promise(resolve => connection.close(resolve));
+    }
+  };
+  return repository;
+}
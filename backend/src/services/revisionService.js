@@ -0,0 +1,116 @@
+import { createTwoFilesPatch, diffLines, diffWords } from 'diff';
+import db from '../db.js';
+
+export const REVISION_KINDS = ['candidate', 'snapshot'];
+
+const revisionColumns = `id, article_id, kind, job_id, title, summary, content, source, model, prompt_version,
+  generation_id, created_at, selected_at`;
+// Listings leave the text out; a single revision or a diff carries it
+const revisionSummaryColumns = `id, article_id, kind, job_id, title, summary, source, model, prompt_version,
+  generation_id, created_at, selected_at`;
+
+/**
+ * Revisions of an article, newest first
+ * `kind` narrows the list to candidates or snapshots
+ */
+export function listRevisions(articleId, { kind } = {}) {
+  const params = [articleId];
+  let where = 'WHERE article_id = ?';
+  if (kind) {
+    where += ' AND kind = ?';
+    params.push(kind);
+  }
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT ${revisionSummaryColumns} FROM article_revisions ${where} ORDER BY id DESC`, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * A revision of the given article; resolves to undefined when the revision
+ * does not exist or belongs to another article
+ */
+export function getRevision(articleId, revisionId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT ${revisionColumns} FROM article_revisions WHERE id = ? AND article_id = ?`,
+      [revisionId, articleId],
+      (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      }
+    );
+  });
+}
+
+export function createRevision(
+  articleId,
+  { kind, jobId = null, title, summary = null, content, source, model = null, promptVersion = null, generationId = null }
+) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO article_revisions (article_id, kind, job_id, title, summary, content, source, model,
+        prompt_version, generation_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [articleId, kind, jobId, title, summary, content, source, model, promptVersion, generationId],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getRevision(articleId, this.lastID).then(resolve, reject);
+      }
+    );
+  });
+}
+
+/**
+ * Keeps an article's current text as a snapshot before it is replaced
+ */
+export function snapshotArticle(article) {
+  return createRevision(article.id, {
+    kind: 'snapshot',
+    title: article.title,
+    summary: article.summary,
+    content: article.content,
+    source: article.source,
+    model: article.model,
+    promptVersion: article.prompt_version,
+    generationId: article.generation_id
+  });
+}
+
+export function markRevisionSelected(revisionId) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE article_revisions SET selected_at = CURRENT_TIMESTAMP WHERE id = ?', [revisionId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Deletes the revisions of a deleted article (ON DELETE CASCADE by hand,
+ * for articles in PostgreSQL)
+ */
+export function deleteRevisions(articleId) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM article_revisions WHERE article_id = ?', [articleId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Differences from `base` to `target` (an article or a revision): word
+ * changes in the title, line changes in the markdown content and a unified
+ * patch of the content
+ * Changes are diff's [{ value, added, removed }] parts
+ */
+export function diffRevisions(base, target, { baseLabel, targetLabel }) {
+  return {
+    title: diffWords(base.title, target.title),
+    content: diffLines(base.content, target.content),
+    patch: createTwoFilesPatch(baseLabel, targetLabel, base.content, target.content, '', '', { context: 3 })
+  };
+}
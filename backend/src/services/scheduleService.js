@@ -0,0 +1,129 @@
+import cron from 'node-cron';
+import cronParser from 'cron-parser';
+import db from '../db.js';
+
+const scheduleColumns =
+  'id, name, cron_expression, timezone, topic_pool, model, enabled, run_count, last_run_at, last_job_id, created_at, updated_at';
+
+/**
+ * Next `count` fire times of a cron expression, as ISO strings
+ */
+export function nextRuns(cronExpression, timezone, count = 5, from = new Date()) {
+  const iterator = cronParser.parseExpression(cronExpression, {
+    currentDate: from,
+    ...(timezone ? { tz: timezone } : {})
+  });
+  return Array.from({ length: count }, () => iterator.next().toDate().toISOString());
+}
+
+export function isValidCronExpression(expression) {
+  if (typeof expression !== 'string' || !cron.validate(expression)) return false;
+  try {
+    cronParser.parseExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toSchedule(row) {
+  if (!row) return row;
+  const schedule = { ...row, topic_pool: JSON.parse(row.topic_pool || '[]'), enabled: row.enabled === 1 };
+  schedule.next_run_at = schedule.enabled ? nextRuns(row.cron_expression, row.timezone, 1)[0] : null;
+  return schedule;
+}
+
+export function listSchedules() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT ${scheduleColumns} FROM schedules ORDER BY name`, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows.map(toSchedule));
+    });
+  });
+}
+
+export function getSchedule(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${scheduleColumns} FROM schedules WHERE id = ?`, [id], (err, row) => {
+      if (err) return reject(err);
+      resolve(toSchedule(row));
+    });
+  });
+}
+
+export function createSchedule({ name, cron_expression, timezone = null, topic_pool = [], model = null, enabled = true }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO schedules (name, cron_expression, timezone, topic_pool, model, enabled)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, cron_expression, timezone, JSON.stringify(topic_pool), model, enabled ? 1 : 0],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getSchedule(this.lastID).then(resolve, reject);
+      }
+    );
+  });
+}
+
+/**
+ * Applies edits to a schedule; resolves to the updated schedule, or
+ * undefined when it does not exist
+ */
+export async function updateSchedule(id, changes) {
+  const existing = await getSchedule(id);
+  if (!existing) return undefined;
+
+  const serialize = {
+    topic_pool: value => JSON.stringify(value),
+    enabled: value => (value ? 1 : 0)
+  };
+  const fields = ['name', 'cron_expression', 'timezone', 'topic_pool', 'model', 'enabled'].filter(
+    field => changes[field] !== undefined
+  );
+  const assignments = [...fields.map(field => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP'];
+  const params = fields.map(field => (serialize[field] ? serialize[field](changes[field]) : changes[field]));
+
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE schedules SET ${assignments.join(', ')} WHERE id = ?`, [...params, id], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+  return getSchedule(id);
+}
+
+export function deleteSchedule(id) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM schedules WHERE id = ?', [id], function deleteCallback(err) {
+      if (err) return reject(err);
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Records a run: bumps run_count (which rotates the topic pool) and links the job
+ */
+export function recordScheduleRun(id, jobId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE schedules
+      SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP, last_job_id = ?
+      WHERE id = ?`,
+      [jobId, id],
+      err => {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+}
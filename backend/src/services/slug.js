@@ -0,0 +1,26 @@
+const SLUG_MAX_LENGTH = 80;
+
+/**
+ * URL-safe slug: lowercase ASCII words joined by hyphens, accents folded
+ * Resolves to '' when the text has no letters or digits
+ */
+export function slugify(text, maxLength = SLUG_MAX_LENGTH) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * First of `base`, `base-2`, `base-3`... that `isTaken` rejects
+ * `isTaken` may be async
+ */
+export async function uniqueSlug(base, isTaken) {
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+}
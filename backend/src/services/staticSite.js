@@ -0,0 +1,158 @@
+import { listAllArticles } from './articleService.js';
+import { renderMarkdown } from './markdown.js';
+import { buildAtom, buildJsonFeed, buildRss, feedDescription, feedTitle, loadFeed, siteUrl } from './feedService.js';
+
+// Relative links throughout, so the site works from any path or straight from disk
+const articleHref = (root, slug) => `${root}articles/${encodeURIComponent(slug)}/index.html`;
+const tagHref = (root, slug) => `${root}tags/${encodeURIComponent(slug)}/index.html`;
+
+const stylesheet = `*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; background: #fff; line-height: 1.6; }
+a { color: inherit; }
+.site-header { padding: 1.5rem 1rem; border-bottom: 1px solid #e9ecef; text-align: center; }
+.site-title { font-size: 1.5rem; font-weight: 700; text-decoration: none; }
+.site-tagline { margin: 0.25rem 0 0; color: #6c757d; }
+main { max-width: 720px; margin: 0 auto; padding: 2rem 1rem 4rem; }
+.article-list { list-style: none; padding: 0; }
+.article-list li { padding: 1rem 0; border-bottom: 1px solid #e9ecef; }
+.article-list h2 { margin: 0; font-size: 1.25rem; }
+.meta { color: #6c757d; font-size: 0.875rem; }
+.tags { display: flex; flex-wrap: wrap; gap: 0.375rem; padding: 0; list-style: none; }
+.tags a { display: inline-block; padding: 0.125rem 0.625rem; border: 1px solid #e9ecef; border-radius: 999px; font-size: 0.75rem; text-decoration: none; }
+.toc { padding: 0.75rem 1rem; background: #f8f9fa; border-radius: 6px; }
+.content pre { overflow-x: auto; padding: 1rem; background: #f1f3f5; border-radius: 6px; }
+.content blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid #e9ecef; color: #6c757d; }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const formatDate = timestamp =>
+  new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+function layout({ title, description, root, body }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+${description ? `  <meta name="description" content="${escapeHtml(description)}">\n` : ''}  <link rel="stylesheet" href="${root}style.css">
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(feedTitle)}" href="${root}feed.xml">
+  <link rel="alternate" type="application/atom+xml" title="${escapeHtml(feedTitle)}" href="${root}atom.xml">
+</head>
+<body>
+  <header class="site-header">
+    <a class="site-title" href="${root}index.html">${escapeHtml(feedTitle)}</a>
+    <p class="site-tagline">${escapeHtml(feedDescription)}</p>
+  </header>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+function tagList(root, tags) {
+  if (!tags.length) return '';
+  const items = tags.map(tag => `<li><a href="${tagHref(root, tag.slug)}">${escapeHtml(tag.name)}</a></li>`);
+  return `<ul class="tags">${items.join('')}</ul>`;
+}
+
+function articleList(root, articles) {
+  const items = articles.map(
+    article => `      <li>
+        <h2><a href="${articleHref(root, article.slug)}">${escapeHtml(article.title)}</a></h2>
+        <p class="meta">${formatDate(article.published_at || article.created_at)}</p>
+${article.summary ? `        <p>${escapeHtml(article.summary)}</p>\n` : ''}      </li>`
+  );
+  return `    <ul class="article-list">
+${items.join('\n')}
+    </ul>`;
+}
+
+function articlePage(article) {
+  const root = '../../';
+  const { html, toc, readingTimeMinutes } = renderMarkdown(article.content);
+  const tocHtml =
+    toc.length > 1
+      ? `    <nav class="toc" aria-label="Table of contents">
+      <ul>
+${toc.map(entry => `        <li><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`).join('\n')}
+      </ul>
+    </nav>\n`
+      : '';
+  return layout({
+    title: `${article.title} | ${feedTitle}`,
+    description: article.summary,
+    root,
+    body: `    <article>
+      <h1>${escapeHtml(article.title)}</h1>
+      <p class="meta">${formatDate(article.published_at || article.created_at)} · ${readingTimeMinutes} min read</p>
+      ${tagList(root, article.tags)}
+${tocHtml}      <div class="content">
+${html}
+      </div>
+    </article>`
+  });
+}
+
+/**
+ * Renders the published articles as a static HTML site with the same
+ * markdown renderer as the API: an index, a page per article at
+ * articles/<slug>/index.html (the frontend's permalinks), a page per tag
+ * and the RSS, Atom and JSON feeds
+ * Resolves to [{ path, content }]
+ */
+export async function buildStaticSite() {
+  const articles = (await listAllArticles({ status: 'published' })).reverse();
+  const files = [
+    { path: 'style.css', content: stylesheet },
+    {
+      path: 'index.html',
+      content: layout({ title: feedTitle, description: feedDescription, root: '', body: articleList('', articles) })
+    }
+  ];
+
+  for (const article of articles) {
+    files.push({ path: `articles/${article.slug}/index.html`, content: articlePage(article) });
+  }
+
+  const tags = new Map();
+  for (const article of articles) {
+    for (const tag of article.tags) {
+      if (!tags.has(tag.slug)) tags.set(tag.slug, { ...tag, articles: [] });
+      tags.get(tag.slug).articles.push(article);
+    }
+  }
+  for (const tag of tags.values()) {
+    files.push({
+      path: `tags/${tag.slug}/index.html`,
+      content: layout({
+        title: `${tag.name} | ${feedTitle}`,
+        root: '../../',
+        body: `    <h1>${escapeHtml(tag.name)}</h1>\n${articleList('../../', tag.articles)}`
+      })
+    });
+  }
+
+  const feed = await loadFeed();
+  files.push(
+    { path: 'feed.xml', content: buildRss(feed, { selfUrl: `${siteUrl}/feed.xml` }) },
+    { path: 'atom.xml', content: buildAtom(feed, { selfUrl: `${siteUrl}/atom.xml` }) },
+    { path: 'feed.json', content: JSON.stringify(buildJsonFeed(feed, { selfUrl: `${siteUrl}/feed.json` }), null, 2) }
+  );
+  return files;
+}
@@ -0,0 +1,79 @@
+import { slugify } from './slug.js';
+import { getArticleRepository } from './repositories/index.js';
+
+export const MAX_TAGS_PER_ARTICLE = 10;
+export const TAG_MAX_LENGTH = 40;
+
+/**
+ * The two domains the generation prompt allows double as categories: every
+ * generated article gets the one its text leans towards
+ */
+const domainTags = [
+  {
+    name: 'b2b saas',
+    keywords: ['saas', 'b2b', 'customer', 'retention', 'churn', 'pricing', 'subscription', 'product-led', 'go-to-market']
+  },
+  {
+    name: 'web3 infrastructure',
+    keywords: ['web3', 'blockchain', 'decentrali', 'smart contract', 'defi', 'dao', 'validator', 'on-chain', 'protocol']
+  }
+];
+
+/**
+ * Display name and slug for a tag, or null when nothing usable is left
+ * Names are lowercased with whitespace collapsed; the slug identifies the tag
+ */
+export function normalizeTag(name) {
+  const normalized = String(name || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, TAG_MAX_LENGTH);
+  const slug = slugify(normalized, TAG_MAX_LENGTH);
+  return slug ? { name: normalized, slug } : null;
+}
+
+/**
+ * Domain tag name for a text (title, topic and body), or null when it
+ * mentions neither domain
+ */
+export function domainTagFor(text) {
+  const lowered = String(text || '').toLowerCase();
+  const [best] = domainTags
+    .map(tag => ({ name: tag.name, score: tag.keywords.filter(keyword => lowered.includes(keyword)).length }))
+    .sort((a, b) => b.score - a.score);
+  return best.score > 0 ? best.name : null;
+}
+
+/**
+ * Tags for a generated article: the model's own tags plus its domain tag
+ */
+export function autoTags({ title, summary, content, tags = [] }, topic) {
+  const domain = domainTagFor([title, topic, summary, content].filter(Boolean).join(' '));
+  return [...(domain ? [domain] : []), ...tags];
+}
+
+/**
+ * Replaces an article's tags, creating tags that do not exist yet
+ * Duplicates (by slug) and unusable names are dropped; at most
+ * MAX_TAGS_PER_ARTICLE are kept; `repository` may be one of a transaction
+ */
+export async function setArticleTags(articleId, names, { repository = getArticleRepository() } = {}) {
+  const tags = [...new Map(names.map(normalizeTag).filter(Boolean).map(tag => [tag.slug, tag])).values()].slice(
+    0,
+    MAX_TAGS_PER_ARTICLE
+  );
+
+  await repository.setTags(articleId, tags);
+}
+
+export function getTag(slug) {
+  return getArticleRepository().getTag(slug);
+}
+
+/**
+ * Tags in use by published articles, most used first, with their counts
+ */
+export function listTags() {
+  return getArticleRepository().listTags();
+}
@@ -0,0 +1,52 @@
+/**
+ * Lightweight lexical similarity helpers (no external NLP dependencies)
+ */
+
+const stopWords = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'your', 'you', 'are', 'how', 'why',
+  'what', 'when', 'its', 'our', 'their', 'about', 'over', 'than', 'can', 'will', 'new', 'more'
+]);
+
+/**
+ * Lowercased word tokens, without stop words and very short words
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    word => word.length > 2 && !stopWords.has(word)
+  );
+}
+
+/**
+ * Jaccard index of two sets (|A ∩ B| / |A ∪ B|), 0 when both are empty
+ */
+export function jaccard(a, b) {
+  const setA = a instanceof Set ? a : new Set(a);
+  const setB = b instanceof Set ? b : new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 0;
+  let intersection = 0;
+  for (const item of setA) {
+    if (setB.has(item)) intersection++;
+  }
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * Word-overlap similarity of two short texts such as titles, from 0 to 1
+ */
+export function titleSimilarity(a, b) {
+  return jaccard(tokenize(a), tokenize(b));
+}
+
+/**
+ * Overlapping runs of `size` consecutive tokens ("w-shingles"), for
+ * near-duplicate detection of longer texts
+ */
+export function shingles(text, size = 3) {
+  const tokens = tokenize(text);
+  if (tokens.length < size) return new Set(tokens.length ? [tokens.join(' ')] : []);
+  const result = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    result.add(tokens.slice(i, i + size).join(' '));
+  }
+  return result;
+}
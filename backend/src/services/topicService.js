@@ -0,0 +1,216 @@
+import db from '../db.js';
+import { logger } from '../logger.js';
+import { titleSimilarity } from './textSimilarity.js';
+import { getArticleRepository } from './repositories/index.js';
+
+// A topic is skipped when its title overlaps this much with a recent article title
+const similarityThreshold = Number(process.env.TOPIC_SIMILARITY_THRESHOLD || 0.5);
+// How many of the latest article titles a topic is compared against
+const recentArticleWindow = Number(process.env.TOPIC_RECENT_ARTICLES || 20);
+
+const topicColumns =
+  'id, title, notes, priority, scheduled_for, used_at, article_id, created_at, updated_at';
+
+function toTopic(row) {
+  if (!row) return row;
+  return { ...row, used: row.used_at !== null };
+}
+
+/**
+ * Lists the backlog: unused topics first in the order the scheduler picks them
+ * `used` (true/false) narrows the list to one state
+ */
+export function listTopics({ used } = {}) {
+  const where = used === undefined ? '' : `WHERE used_at IS ${used ? 'NOT NULL' : 'NULL'}`;
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT ${topicColumns} FROM topics ${where}
+      ORDER BY used_at IS NOT NULL, scheduled_for IS NULL, scheduled_for, priority DESC, id`,
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows.map(toTopic));
+      }
+    );
+  });
+}
+
+export function getTopic(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${topicColumns} FROM topics WHERE id = ?`, [id], (err, row) => {
+      if (err) return reject(err);
+      resolve(toTopic(row));
+    });
+  });
+}
+
+export function createTopic({ title, notes = null, priority = 0, scheduled_for = null }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO topics (title, notes, priority, scheduled_for) VALUES (?, ?, ?, ?)',
+      [title, notes, priority, scheduled_for],
+      function insertCallback(err) {
+        if (err) return reject(err);
+        getTopic(this.lastID).then(resolve, reject);
+      }
+    );
+  });
+}
+
+/**
+ * Applies edits (title, notes, priority, scheduled_for, used)
+ * `used: false` returns a topic to the backlog; `used: true` retires it
+ * Resolves to the updated topic, or undefined when it does not exist
+ */
+export async function updateTopic(id, changes) {
+  const existing = await getTopic(id);
+  if (!existing) return undefined;
+
+  const fields = ['title', 'notes', 'priority', 'scheduled_for'].filter(f => changes[f] !== undefined);
+  const assignments = fields.map(f => `${f} = ?`);
+  const params = fields.map(f => changes[f]);
+  if (changes.used === true && !existing.used) assignments.push('used_at = CURRENT_TIMESTAMP');
+  if (changes.used === false) assignments.push('used_at = NULL', 'article_id = NULL');
+  assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE topics SET ${assignments.join(', ')} WHERE id = ?`, [...params, id], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+  return getTopic(id);
+}
+
+export function deleteTopic(id) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM topics WHERE id = ?', [id], function deleteCallback(err) {
+      if (err) return reject(err);
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Puts a topic taken for a generation that failed back in the backlog
+ * Topics already linked to an article are left alone; resolves to true
+ * when the topic was released
+ */
+export function releaseTopic(id) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE topics SET used_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND article_id IS NULL',
+      [id],
+      function releaseCallback(err) {
+        if (err) return reject(err);
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Keeps the topics that produced a deleted article, used but without the
+ * link (ON DELETE SET NULL by hand, for articles in PostgreSQL)
+ */
+export function unlinkTopicArticle(articleId) {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE topics SET article_id = NULL WHERE article_id = ?', [articleId], err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Records which article a topic produced (and marks it used if it was not yet)
+ */
+export function markTopicUsed(id, articleId = null) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE topics
+      SET used_at = COALESCE(used_at, CURRENT_TIMESTAMP), article_id = COALESCE(?, article_id), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+      [articleId, id],
+      err => {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+}
+
+async function recentArticleTitles() {
+  const articles = await getArticleRepository().recent(recentArticleWindow);
+  return articles.map(article => article.title);
+}
+
+/**
+ * Finds the topic the scheduler should write about next without consuming it:
+ * unused, due (no date or scheduled for today or earlier), earliest date
+ * first, then highest priority. Topics that closely match a recent article
+ * title are passed over
+ * Resolves to { topic, skipped } where topic is null when nothing qualifies
+ */
+export async function findNextTopic() {
+  const [candidates, titles] = await Promise.all([
+    new Promise((resolve, reject) => {
+      db.all(
+        `SELECT ${topicColumns} FROM topics
+        WHERE used_at IS NULL AND (scheduled_for IS NULL OR scheduled_for <= date('now'))
+        ORDER BY scheduled_for IS NULL, scheduled_for, priority DESC, id`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows.map(toTopic));
+        }
+      );
+    }),
+    recentArticleTitles()
+  ]);
+
+  const skipped = [];
+  for (const topic of candidates) {
+    const closest = titles
+      .map(title => ({ title, similarity: titleSimilarity(topic.title, title) }))
+      .sort((a, b) => b.similarity - a.similarity)[0];
+    if (closest && closest.similarity >= similarityThreshold) {
+      skipped.push({ id: topic.id, title: topic.title, similarTo: closest.title, similarity: closest.similarity });
+      continue;
+    }
+    return { topic, skipped };
+  }
+  return { topic: null, skipped };
+}
+
+/**
+ * Marks a topic used unless another run already did
+ * Resolves to true when this call claimed it
+ */
+function claimTopic(id) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE topics SET used_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [id],
+      function claimCallback(err) {
+        if (err) return reject(err);
+        resolve(this.changes === 1);
+      }
+    );
+  });
+}
+
+/**
+ * Picks the next topic and claims it, so concurrent or later runs do not
+ * pick it again; a topic another run claimed first is passed over for the
+ * next one. The produced article is linked once it exists
+ * Resolves to the topic, or null when the backlog has nothing suitable
+ */
+export async function takeNextTopic() {
+  for (;;) {
+    const { topic, skipped } = await findNextTopic();
+    for (const s of skipped) {
+      logger.info('Skipping topic similar to a recent article', { topicId: s.id, topic: s.title, similarTo: s.similarTo });
+    }
+    if (!topic) return null;
+    if (await claimTopic(topic.id)) return topic;
+  }
+}
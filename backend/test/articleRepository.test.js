@@ -0,0 +1,467 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import pg from 'pg';
+import { createPostgresArticleRepository } from '../src/services/repositories/postgres.js';
+import { createSqliteArticleRepository } from '../src/services/repositories/sqlite.js';
+import { HIGHLIGHT_CLOSE, HIGHLIGHT_OPEN, SlugTakenError } from '../src/services/repositories/shared.js';
+
+// The PostgreSQL run only happens with DATABASE_URL; the SQLite run always
+// uses a throwaway database file, migrated like the real one. DATABASE_URL is
+// taken out of the environment so db.js keeps SQLite's foreign keys on
+const postgresUrl = process.env.DATABASE_URL;
+delete process.env.DATABASE_URL;
+process.env.LOG_LEVEL ??= 'warn';
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const web3 = { name: 'web3 infrastructure', slug: 'web3-infrastructure' };
+const billing = { name: 'billing', slug: 'billing' };
+
+// Newest last; created_at decides the listing order
+const fixtures = [
+  {
+    key: 'rollups',
+    tags: [web3, billing],
+    fields: {
+      slug: 'rollups-for-saas-billing',
+      title: 'Rollups for SaaS billing',
+      content: 'Rollups settle usage-based billing on chain without a custom ledger.',
+      topic: 'Web3 infrastructure',
+      status: 'published',
+      source: 'ai',
+      prompt_version: 'article-json-v1',
+      created_at: '2026-01-01 10:00:00',
+      published_at: '2026-01-01 10:00:00',
+      updated_at: '2026-01-01 10:00:00'
+    }
+  },
+  {
+    key: 'pricing',
+    tags: [billing],
+    fields: {
+      slug: 'usage-based-pricing',
+      title: 'Usage-based pricing',
+      summary: 'How SaaS teams price by usage.',
+      content: 'Usage based pricing and billing for SaaS teams.',
+      topic: 'B2B SaaS pricing',
+      status: 'published',
+      source: 'manual',
+      created_at: '2026-01-02 10:00:00',
+      published_at: '2026-01-02 10:00:00',
+      updated_at: '2026-01-02 10:00:00'
+    }
+  },
+  {
+    key: 'storage',
+    tags: [web3],
+    fields: {
+      slug: 'decentralized-storage',
+      title: 'Decentralized storage networks',
+      content: 'Decentralized storage networks replicate data across independent operators.',
+      topic: 'Web3 infrastructure',
+      status: 'published',
+      source: 'seed',
+      prompt_version: 'article-json-v1',
+      created_at: '2026-01-03 10:00:00',
+      published_at: '2026-01-03 10:00:00',
+      updated_at: '2026-01-03 10:00:00'
+    }
+  },
+  {
+    key: 'draft',
+    tags: [billing],
+    fields: {
+      slug: 'rollups-draft',
+      title: 'Rollups draft',
+      content: 'Rollups draft notes that are not public yet.',
+      topic: 'B2B SaaS onboarding',
+      status: 'draft',
+      source: 'ai',
+      prompt_version: 'article-json-v2',
+      created_at: '2026-01-04 10:00:00',
+      updated_at: '2026-01-04 10:00:00'
+    }
+  },
+  {
+    key: 'archived',
+    tags: [],
+    fields: {
+      slug: 'archived-fallback',
+      title: 'Fallback article on onboarding',
+      content: 'Template text kept for reference.',
+      topic: 'B2B SaaS onboarding',
+      status: 'archived',
+      source: 'fallback',
+      created_at: '2026-01-05 10:00:00',
+      updated_at: '2026-01-05 10:00:00'
+    }
+  }
+];
+
+const listDefaults = { page: 1, limit: 20, status: 'published' };
+
+/**
+ * The behaviour every article repository must share (see repositories/index.js)
+ * `setup` resolves to { repository, reset, teardown }; reset empties the tables
+ */
+function articleRepositoryContract(name, setup, options = {}) {
+  describe(`${name} article repository`, options, () => {
+    let backend;
+    let repository;
+    let ids;
+
+    before(async () => {
+      backend = await setup();
+      repository = backend.repository;
+      await repository.init();
+    });
+
+    after(async () => {
+      await backend?.teardown();
+    });
+
+    beforeEach(async () => {
+      await backend.reset();
+      ids = {};
+      for (const fixture of fixtures) {
+        ids[fixture.key] = await repository.insert(fixture.fields);
+        await repository.setTags(ids[fixture.key], fixture.tags);
+      }
+    });
+
+    const idsOf = articles => articles.map(article => article.id);
+
+    describe('list', () => {
+      it('lists published articles newest first with the total', async () => {
+        const { articles, total } = await repository.list(listDefaults);
+        assert.equal(total, 3);
+        assert.deepEqual(idsOf(articles), [ids.storage, ids.pricing, ids.rollups]);
+      });
+
+      it('paginates', async () => {
+        const first = await repository.list({ ...listDefaults, limit: 2 });
+        const second = await repository.list({ ...listDefaults, limit: 2, page: 2 });
+        assert.deepEqual(idsOf(first.articles), [ids.storage, ids.pricing]);
+        assert.deepEqual(idsOf(second.articles), [ids.rollups]);
+        assert.equal(second.total, 3);
+      });
+
+      it('filters by status, topic, source, tag and date range', async () => {
+        const all = await repository.list({ ...listDefaults, status: 'all' });
+        assert.equal(all.total, 5);
+        assert.equal(all.articles[0].id, ids.archived);
+
+        const drafts = await repository.list({ ...listDefaults, status: 'draft' });
+        assert.deepEqual(idsOf(drafts.articles), [ids.draft]);
+
+        const byTopic = await repository.list({ ...listDefaults, topic: 'web3' });
+        assert.deepEqual(idsOf(byTopic.articles), [ids.storage, ids.rollups]);
+
+        const bySource = await repository.list({ ...listDefaults, source: 'manual' });
+        assert.deepEqual(idsOf(bySource.articles), [ids.pricing]);
+
+        const byTag = await repository.list({ ...listDefaults, status: 'all', tag: 'billing' });
+        assert.deepEqual(idsOf(byTag.articles), [ids.draft, ids.pricing, ids.rollups]);
+        assert.equal(byTag.total, 3);
+
+        const byDate = await repository.list({
+          ...listDefaults,
+          status: 'all',
+          from: '2026-01-02',
+          to: '2026-01-03 23:59:59'
+        });
+        assert.deepEqual(idsOf(byDate.articles), [ids.storage, ids.pricing]);
+      });
+
+      it('returns tags and SQLite-style timestamps', async () => {
+        const { articles } = await repository.list(listDefaults);
+        const rollups = articles.find(article => article.id === ids.rollups);
+        assert.deepEqual(rollups.tags, [billing, web3]);
+        assert.equal(rollups.created_at, '2026-01-01 10:00:00');
+        assert.equal(rollups.content, fixtures[0].fields.content);
+      });
+
+      it('swaps content for an excerpt in the summary view', async () => {
+        const { articles } = await repository.list({ ...listDefaults, view: 'summary' });
+        const pricing = articles.find(article => article.id === ids.pricing);
+        const storage = articles.find(article => article.id === ids.storage);
+        assert.equal(pricing.content, undefined);
+        assert.equal(pricing.excerpt, 'How SaaS teams price by usage.');
+        assert.equal(storage.excerpt, fixtures[2].fields.content);
+        assert.deepEqual(storage.tags, [web3]);
+      });
+
+      it('lists every matching article oldest first with listAll', async () => {
+        const all = await repository.listAll({ status: 'all' });
+        assert.deepEqual(idsOf(all), fixtures.map(fixture => ids[fixture.key]));
+        const published = await repository.listAll({ status: 'published' });
+        assert.deepEqual(idsOf(published), [ids.rollups, ids.pricing, ids.storage]);
+      });
+
+      it('returns the newest articles with recent', async () => {
+        const recent = await repository.recent(2);
+        assert.deepEqual(recent, [
+          { id: ids.archived, title: fixtures[4].fields.title, content: fixtures[4].fields.content },
+          { id: ids.draft, title: fixtures[3].fields.title, content: fixtures[3].fields.content }
+        ]);
+        assert.equal(await repository.count(), 5);
+      });
+    });
+
+    describe('search', () => {
+      it('matches term prefixes in published articles only, with highlights', async () => {
+        const { articles, total } = await repository.search(['rollup'], { page: 1, limit: 10 });
+        assert.equal(total, 1);
+        assert.deepEqual(idsOf(articles), [ids.rollups]);
+        assert.ok(articles[0].title_html.includes(`${HIGHLIGHT_OPEN}Rollups${HIGHLIGHT_CLOSE}`));
+        assert.ok(articles[0].snippet.includes(HIGHLIGHT_OPEN));
+        assert.deepEqual(articles[0].tags, [billing, web3]);
+      });
+
+      it('requires every term', async () => {
+        const both = await repository.search(['decentral', 'stor'], { page: 1, limit: 10 });
+        assert.deepEqual(idsOf(both.articles), [ids.storage]);
+        const none = await repository.search(['rollup', 'storage'], { page: 1, limit: 10 });
+        assert.equal(none.total, 0);
+        assert.deepEqual(none.articles, []);
+      });
+
+      it('filters by tag and paginates', async () => {
+        const all = await repository.search(['billing'], { page: 1, limit: 10 });
+        assert.equal(all.total, 2);
+        assert.deepEqual(idsOf(all.articles).sort(), [ids.rollups, ids.pricing].sort());
+
+        const tagged = await repository.search(['billing'], { page: 1, limit: 10, tag: 'web3-infrastructure' });
+        assert.deepEqual(idsOf(tagged.articles), [ids.rollups]);
+
+        const secondPage = await repository.search(['billing'], { page: 2, limit: 1 });
+        assert.equal(secondPage.total, 2);
+        assert.equal(secondPage.articles.length, 1);
+      });
+    });
+
+    describe('get', () => {
+      it('finds articles by id and slug, with tags', async () => {
+        const article = await repository.get(ids.rollups);
+        assert.equal(article.slug, 'rollups-for-saas-billing');
+        assert.equal(article.prompt_version, 'article-json-v1');
+        assert.deepEqual(article.tags, [billing, web3]);
+        assert.deepEqual(await repository.get(String(ids.rollups)), article);
+        assert.deepEqual(await repository.getBySlug('rollups-for-saas-billing'), article);
+        assert.equal(await repository.getBySlug('missing'), undefined);
+      });
+
+      it('treats missing and malformed ids as not found', async () => {
+        for (const id of [999_999, 'abc', '1.5', '-1', 0, '99999999999', '1e3']) {
+          assert.equal(await repository.get(id), undefined, `get(${id})`);
+          assert.equal(await repository.exists(id), false, `exists(${id})`);
+        }
+        assert.equal(await repository.exists(ids.pricing), true);
+        assert.equal(await repository.slugExists('usage-based-pricing'), true);
+        assert.equal(await repository.slugExists('missing'), false);
+      });
+    });
+
+    describe('insert', () => {
+      it('stamps the timestamps left out, published_at only when published', async () => {
+        const draftId = await repository.insert({ slug: 'new-draft', title: 'New draft', content: 'Body', status: 'draft' });
+        const draft = await repository.get(draftId);
+        assert.match(draft.created_at, TIMESTAMP);
+        assert.match(draft.updated_at, TIMESTAMP);
+        assert.equal(draft.published_at, null);
+        assert.deepEqual(draft.tags, []);
+
+        const publishedId = await repository.insert({
+          slug: 'new-published',
+          title: 'New published',
+          content: 'Body',
+          status: 'published'
+        });
+        assert.match((await repository.get(publishedId)).published_at, TIMESTAMP);
+      });
+
+      it('keeps a given id and numbers later articles after it', async () => {
+        const id = await repository.insert({ id: 5000, slug: 'imported', title: 'Imported', content: 'Body', status: 'draft' });
+        assert.equal(id, 5000);
+        const next = await repository.insert({ slug: 'after-import', title: 'After', content: 'Body', status: 'draft' });
+        assert.ok(next > 5000);
+      });
+
+      it('rejects a slug that is taken with SlugTakenError', async () => {
+        await assert.rejects(
+          repository.insert({ slug: 'usage-based-pricing', title: 'Again', content: 'Body', status: 'draft' }),
+          err => err instanceof SlugTakenError && err.slug === 'usage-based-pricing'
+        );
+        assert.equal(await repository.count(), 5);
+      });
+    });
+
+    describe('update', () => {
+      it('changes the given fields and bumps updated_at', async () => {
+        assert.equal(await repository.update(ids.pricing, { title: 'Pricing by usage', topic: 'Pricing' }), true);
+        const article = await repository.get(ids.pricing);
+        assert.equal(article.title, 'Pricing by usage');
+        assert.equal(article.topic, 'Pricing');
+        assert.equal(article.content, fixtures[1].fields.content);
+        assert.notEqual(article.updated_at, '2026-01-02 10:00:00');
+        assert.match(article.updated_at, TIMESTAMP);
+
+        await repository.update(ids.pricing, { updated_at: '2026-02-01 00:00:00' });
+        assert.equal((await repository.get(ids.pricing)).updated_at, '2026-02-01 00:00:00');
+      });
+
+      it('stamps published_at only the first time an article is published', async () => {
+        await repository.update(ids.draft, { status: 'published' }, { publish: true });
+        const published = await repository.get(ids.draft);
+        assert.equal(published.status, 'published');
+        assert.match(published.published_at, TIMESTAMP);
+
+        await repository.update(ids.rollups, { status: 'published' }, { publish: true });
+        assert.equal((await repository.get(ids.rollups)).published_at, '2026-01-01 10:00:00');
+      });
+
+      it('keeps search in step with the text', async () => {
+        await repository.update(ids.pricing, { content: 'Seat based licensing' });
+        assert.equal((await repository.search(['licens'], { page: 1, limit: 10 })).total, 1);
+        assert.equal((await repository.search(['billing'], { page: 1, limit: 10 })).total, 1);
+      });
+
+      it('returns false for missing articles and rejects taken slugs', async () => {
+        assert.equal(await repository.update(999_999, { title: 'Nothing' }), false);
+        assert.equal(await repository.update('abc', { title: 'Nothing' }), false);
+        await assert.rejects(
+          repository.update(ids.pricing, { slug: 'decentralized-storage' }),
+          err => err instanceof SlugTakenError
+        );
+      });
+    });
+
+    describe('delete', () => {
+      it('removes the article and its tag links', async () => {
+        assert.equal(await repository.delete(ids.storage), true);
+        assert.equal(await repository.get(ids.storage), undefined);
+        assert.equal(await repository.delete(ids.storage), false);
+        assert.equal(await repository.delete('abc'), false);
+        assert.equal(await repository.count(), 4);
+        const web3Tag = (await repository.listTags()).find(tag => tag.slug === web3.slug);
+        assert.equal(web3Tag.article_count, 1);
+        assert.equal((await repository.search(['decentral'], { page: 1, limit: 10 })).total, 0);
+      });
+    });
+
+    describe('tags', () => {
+      it('counts tags of published articles, most used first', async () => {
+        assert.deepEqual(await repository.listTags(), [
+          { ...billing, article_count: 2 },
+          { ...web3, article_count: 2 }
+        ]);
+      });
+
+      it('replaces an article tags and reuses existing tags', async () => {
+        await repository.setTags(ids.pricing, [web3, { name: 'pricing', slug: 'pricing' }]);
+        assert.deepEqual((await repository.get(ids.pricing)).tags, [{ name: 'pricing', slug: 'pricing' }, web3]);
+        assert.deepEqual(await repository.listTags(), [
+          { ...web3, article_count: 3 },
+          { ...billing, article_count: 1 },
+          { name: 'pricing', slug: 'pricing', article_count: 1 }
+        ]);
+
+        await repository.setTags(ids.pricing, []);
+        assert.deepEqual((await repository.get(ids.pricing)).tags, []);
+      });
+
+      it('finds a tag by slug', async () => {
+        const tag = await repository.getTag('billing');
+        assert.equal(tag.name, 'billing');
+        assert.equal(tag.slug, 'billing');
+        assert.ok(tag.id);
+        assert.equal(await repository.getTag('missing'), undefined);
+      });
+    });
+
+    describe('transaction', () => {
+      it('commits what fn wrote and resolves to its result', async () => {
+        const id = await repository.transaction(async tx => {
+          const newId = await tx.insert({ slug: 'in-transaction', title: 'In transaction', content: 'Body', status: 'draft' });
+          await tx.setTags(newId, [billing]);
+          assert.equal((await tx.getBySlug('in-transaction')).id, newId);
+          return newId;
+        });
+        assert.deepEqual((await repository.get(id)).tags, [billing]);
+      });
+
+      it('rolls every write back when fn throws', async () => {
+        await assert.rejects(
+          repository.transaction(async tx => {
+            const id = await tx.insert({ slug: 'rolled-back', title: 'Rolled back', content: 'Body', status: 'draft' });
+            await tx.setTags(id, [{ name: 'rolled back', slug: 'rolled-back' }]);
+            await tx.update(ids.pricing, { title: 'Changed' });
+            await tx.insert({ slug: 'decentralized-storage', title: 'Taken', content: 'Body', status: 'draft' });
+          }),
+          SlugTakenError
+        );
+        assert.equal(await repository.slugExists('rolled-back'), false);
+        assert.equal(await repository.getTag('rolled-back'), undefined);
+        assert.equal((await repository.get(ids.pricing)).title, 'Usage-based pricing');
+        assert.equal(await repository.count(), 5);
+      });
+    });
+
+    it('counts articles per prompt version', async () => {
+      const counts = await repository.promptVersionCounts({ from: '2026-01-01', to: '2026-01-31' });
+      assert.deepEqual(
+        counts.sort((a, b) => a.prompt_version.localeCompare(b.prompt_version)),
+        [
+          { prompt_version: 'article-json-v1', articles: 2, published: 2, drafts: 0 },
+          { prompt_version: 'article-json-v2', articles: 1, published: 0, drafts: 1 }
+        ]
+      );
+      assert.deepEqual(await repository.promptVersionCounts({ from: '2026-01-02', to: '2026-01-02' }), []);
+    });
+  });
+}
+
+articleRepositoryContract('SQLite', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'article-repository-'));
+  process.env.SQLITE_PATH = path.join(dir, 'blog.db');
+  const { default: db } = await import('../src/db.js');
+  const { migrateUp } = await import('../src/migrator.js');
+  await migrateUp();
+
+  const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+  return {
+    repository: createSqliteArticleRepository(db),
+    reset: () => exec('DELETE FROM article_tags; DELETE FROM tags; DELETE FROM articles;'),
+    async teardown() {
+      await new Promise(resolve => db.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+});
+
+articleRepositoryContract(
+  'PostgreSQL',
+  async () => {
+    // A schema of its own, so the run never touches the database's real tables
+    const schema = `article_repository_test_${process.pid}`;
+    const admin = new pg.Client({ connectionString: postgresUrl });
+    await admin.connect();
+    await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE; CREATE SCHEMA ${schema}`);
+
+    const url = new URL(postgresUrl);
+    url.searchParams.set('options', `-c search_path=${schema}`);
+    const repository = createPostgresArticleRepository({ connectionString: url.toString() });
+    return {
+      repository,
+      reset: () => admin.query(`TRUNCATE ${schema}.articles, ${schema}.tags RESTART IDENTITY CASCADE`),
+      async teardown() {
+        await repository.close();
+        await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+        await admin.end();
+      }
+    };
+  },
+  { skip: postgresUrl ? false : 'DATABASE_URL is not set' }
+);
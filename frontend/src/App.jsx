@@ -1,49 +1,498 @@
 import { useEffect, useState } from 'react';
 import axios from 'axios';
+import { Link, useMatch, useNavigate } from 'react-router-dom';
 
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:4000/api'
 });
 
-function ArticleList({ articles, onSelect, selectedId }) {
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+// Send the signed-in API key with every request that does not set its own
+api.interceptors.request.use(config => {
+  const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+  if (apiKey && !config.headers.Authorization) config.headers.Authorization = `Bearer ${apiKey}`;
+  return config;
+});
+
+const canEdit = user => user?.role === 'editor' || user?.role === 'admin';
+
+const PAGE_SIZE = 20;
+// Tag chips shown above the article list, most used first
+const MAX_TAG_CHIPS = 12;
+const JOB_POLL_INTERVAL_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls a background job until it either succeeds or runs out of retries
+async function waitForJob(jobId) {
+  for (;;) {
+    const { data } = await api.get(`/jobs/${jobId}`);
+    if (data.status === 'succeeded' || data.status === 'failed') return data;
+    await sleep(JOB_POLL_INTERVAL_MS);
+  }
+}
+
+// Posts to a server-sent events endpoint, calling onEvent(type, data) for each
+// event; fetch is used because EventSource can neither POST nor send the key
+async function streamEvents(path, body, onEvent) {
+  const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+  const response = await fetch(`${api.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(data.details || data.error || `Request failed with status ${response.status}`), {
+      status: response.status,
+      retryAfter: Number(response.headers.get('retry-after'))
+    });
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      let type = 'message';
+      const data = [];
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      }
+      if (data.length) onEvent(type, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+// Reads a string field from a JSON reply that may still be cut off mid-way,
+// so the preview can show the article while the model writes it
+function partialJsonString(text, field) {
+  const start = text.match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!start) return '';
+  let value = '';
+  for (let i = start.index + start[0].length; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += { n: '\n', t: '\t', r: '', b: '', f: '' }[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
+
+const hasSearchTerms = query => /[\p{L}\p{N}]/u.test(query);
+
+const articlePath = slug => `/articles/${encodeURIComponent(slug)}`;
+
+function ArticleList({
+  articles,
+  total,
+  selectedSlug,
+  hasMore,
+  loadingMore,
+  onLoadMore,
+  query,
+  onQueryChange,
+  tags,
+  activeTag,
+  onTagChange
+}) {
+  const searching = hasSearchTerms(query);
+
+  // Load the next page once the sidebar is scrolled close to its end
+  const handleScroll = event => {
+    const { scrollTop, clientHeight, scrollHeight } = event.currentTarget;
+    if (hasMore && !loadingMore && scrollTop + clientHeight >= scrollHeight - 120) {
+      onLoadMore();
+    }
+  };
+
   return (
-    <aside className="article-list">
+    <aside className="article-list" onScroll={handleScroll}>
       <div className="list-header">
-        <h2>Articles</h2>
-        <span className="count">{articles.length}</span>
+        <h2>{searching ? 'Results' : 'Articles'}</h2>
+        <span className="count">{total}</span>
       </div>
+      <input
+        type="search"
+        className="search-input"
+        placeholder="Search articles..."
+        value={query}
+        onChange={event => onQueryChange(event.target.value)}
+      />
+      {tags.length > 0 && (
+        <div className="tag-filter">
+          <button className={activeTag ? 'tag-chip' : 'tag-chip active'} onClick={() => onTagChange(null)}>
+            All
+          </button>
+          {tags.slice(0, MAX_TAG_CHIPS).map(tag => (
+            <button
+              key={tag.slug}
+              className={activeTag === tag.slug ? 'tag-chip active' : 'tag-chip'}
+              onClick={() => onTagChange(activeTag === tag.slug ? null : tag.slug)}
+            >
+              {tag.name} <span className="tag-count">{tag.article_count}</span>
+            </button>
+          ))}
+        </div>
+      )}
       <div className="list">
         {articles.length === 0 ? (
-          <div className="empty-state">No articles yet</div>
+          <div className="empty-state">{searching ? 'No matching articles' : 'No articles yet'}</div>
         ) : (
           articles.map(article => (
-            <button
+            <Link
               key={article.id}
-              className={selectedId === article.id ? 'card active' : 'card'}
-              onClick={() => onSelect(article.id)}
+              to={articlePath(article.slug)}
+              className={selectedSlug === article.slug ? 'card active' : 'card'}
             >
               <div className="card-content">
-                <h3>{article.title}</h3>
+                {/* title_html and snippet come from the search endpoint, already HTML-escaped */}
+                {article.title_html ? (
+                  <h3 dangerouslySetInnerHTML={{ __html: article.title_html }} />
+                ) : (
+                  <h3>{article.title}</h3>
+                )}
+                {article.snippet && (
+                  <p className="card-snippet" dangerouslySetInnerHTML={{ __html: article.snippet }} />
+                )}
                 <time className="card-date">{new Date(article.created_at).toLocaleDateString('en-US', { 
                   month: 'short', 
                   day: 'numeric',
                   year: 'numeric'
                 })}</time>
               </div>
-            </button>
+            </Link>
           ))
         )}
+        {hasMore && (
+          <button
+            className="btn btn-secondary load-more"
+            onClick={onLoadMore}
+            disabled={loadingMore}
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        )}
       </div>
     </aside>
   );
 }
 
-function ArticleView({ article }) {
+function LoginForm({ onLogin, onCancel }) {
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async event => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onLogin(apiKey.trim());
+    } catch (err) {
+      setError(err.response?.status === 401 ? 'Invalid API key' : 'Sign-in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="login-form" onSubmit={submit}>
+      <input
+        type="password"
+        className="login-input"
+        placeholder="API key"
+        value={apiKey}
+        onChange={event => setApiKey(event.target.value)}
+        autoFocus
+      />
+      <button className="btn btn-primary" type="submit" disabled={submitting || !apiKey.trim()}>
+        {submitting ? 'Signing in...' : 'Sign in'}
+      </button>
+      <button className="btn btn-secondary" type="button" onClick={onCancel}>
+        Cancel
+      </button>
+      {error && <span className="login-error">{error}</span>}
+    </form>
+  );
+}
+
+// How each article came to be; fallback text is template filler, not a real article
+const SOURCE_LABELS = {
+  ai: 'AI-generated',
+  fallback: 'Fallback template',
+  manual: 'Written by an editor',
+  seed: 'Sample article'
+};
+
+const MAX_CANDIDATES = 5;
+
+const formatTimestamp = timestamp =>
+  new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+// Renders diff parts ({ value, added, removed }) with insertions and deletions marked
+function DiffParts({ parts }) {
+  return parts.map((part, index) => {
+    if (part.added) return <ins key={index} className="diff-added">{part.value}</ins>;
+    if (part.removed) return <del key={index} className="diff-removed">{part.value}</del>;
+    return <span key={index}>{part.value}</span>;
+  });
+}
+
+/**
+ * Editor tools for an article: regenerate alternative candidates, compare any
+ * revision with the current text and make one of them the article
+ */
+function RevisionsPanel({ article, onArticleChange }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [count, setCount] = useState(3);
+  const [acrossModels, setAcrossModels] = useState(false);
+  const [regenerating, setRegenerating] = useState(false);
+  const [diff, setDiff] = useState(null);
+
+  const fetchRevisions = async () => {
+    const { data } = await api.get(`/articles/${article.id}/revisions`);
+    setRevisions(data);
+  };
+
+  useEffect(() => {
+    setDiff(null);
+    if (open) fetchRevisions().catch(err => console.error('Failed to fetch revisions:', err));
+  }, [open, article.id]);
+
+  const regenerate = async () => {
+    setRegenerating(true);
+    try {
+      const { data } = await api.post(`/articles/${article.id}/regenerate`, {
+        count,
+        ...(acrossModels ? { across_models: true } : {})
+      });
+      const job = await waitForJob(data.jobId);
+      if (job.status === 'failed') throw new Error(job.last_error);
+      await fetchRevisions();
+    } catch (err) {
+      console.error('Failed to regenerate article:', err);
+      alert(err.response?.data?.details || err.message || 'Failed to regenerate article.');
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  const compare = async revision => {
+    try {
+      const { data } = await api.get(`/articles/${article.id}/revisions/${revision.id}/diff`);
+      setDiff(data);
+    } catch (err) {
+      console.error('Failed to diff revision:', err);
+    }
+  };
+
+  const select = async revision => {
+    try {
+      const { data } = await api.post(`/articles/${article.id}/revisions/${revision.id}/select`);
+      onArticleChange(data);
+      setDiff(null);
+      await fetchRevisions();
+    } catch (err) {
+      console.error('Failed to select revision:', err);
+      alert('Failed to use this revision. Check console for details.');
+    }
+  };
+
+  if (!open) {
+    return (
+      <button className="btn btn-secondary revisions-toggle" onClick={() => setOpen(true)}>
+        Revisions
+      </button>
+    );
+  }
+
+  return (
+    <section className="revisions-panel">
+      <div className="revisions-toolbar">
+        <h2 className="revisions-title">Revisions</h2>
+        <label>
+          Candidates{' '}
+          <select value={count} onChange={event => setCount(Number(event.target.value))} disabled={regenerating}>
+            {Array.from({ length: MAX_CANDIDATES }, (_, i) => i + 1).map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={acrossModels}
+            onChange={event => setAcrossModels(event.target.checked)}
+            disabled={regenerating}
+          />{' '}
+          Across models
+        </label>
+        <button className="btn btn-primary" onClick={regenerate} disabled={regenerating}>
+          {regenerating ? 'Generating...' : 'Regenerate'}
+        </button>
+        <button className="btn btn-secondary" onClick={() => setOpen(false)}>
+          Close
+        </button>
+      </div>
+      {revisions.length === 0 ? (
+        <p className="revisions-empty">No revisions yet</p>
+      ) : (
+        <ul className="revisions-list">
+          {revisions.map(revision => (
+            <li key={revision.id} className={diff?.revision_id === revision.id ? 'revision active' : 'revision'}>
+              <div className="revision-info">
+                <span className={`revision-kind revision-kind-${revision.kind}`}>
+                  {revision.kind === 'candidate' ? 'Candidate' : 'Previous version'}
+                </span>
+                <span className="revision-title">{revision.title}</span>
+                <span className="revision-meta">
+                  {[revision.model, formatTimestamp(revision.created_at), revision.selected_at && 'selected']
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+              </div>
+              <div className="revision-actions">
+                <button className="btn btn-secondary" onClick={() => compare(revision)}>
+                  Compare
+                </button>
+                <button className="btn btn-secondary" onClick={() => select(revision)}>
+                  Use this
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {diff && (
+        <div className="revision-diff">
+          <h3 className="diff-title">
+            <DiffParts parts={diff.title} />
+          </h3>
+          <pre className="diff-content">
+            <DiffParts parts={diff.content} />
+          </pre>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Tells editors why the quality gate held the article back, if it did
+function QualityNotice({ article }) {
+  const [check, setCheck] = useState(null);
+
+  useEffect(() => {
+    let stale = false;
+    setCheck(null);
+    api
+      .get(`/articles/${article.id}/quality`)
+      .then(({ data }) => {
+        // Only the check of the text on show; a selected revision replaces it
+        if (!stale) setCheck(data.find(c => c.generation_id === article.generation_id) || null);
+      })
+      .catch(err => console.error('Failed to fetch quality checks:', err));
+    return () => {
+      stale = true;
+    };
+  }, [article.id, article.generation_id]);
+
+  if (!check || check.passed) return null;
+  return (
+    <div className="quality-notice" role="status">
+      <strong>Quality gate: {check.outcome === 'draft' ? 'held as draft' : check.outcome}</strong>
+      <ul>
+        {check.issues.map((issue, index) => (
+          <li key={index}>{issue.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// A one-line description of a generation progress event for the preview log
+function describeGenerationEvent(type, data) {
+  switch (type) {
+    case 'attempt':
+      return `${data.purpose === 'repair' ? 'Repair request' : `Attempt ${data.attempt}`} with ${data.model}`;
+    case 'fallback':
+      return data.to === 'template'
+        ? `No model produced an article (${data.reason}); using the fallback template`
+        : `${data.from} failed (${data.reason}); switching to ${data.to}`;
+    case 'validation':
+      return data.valid ? 'Reply matches the article schema' : `Reply rejected: ${data.errors.join('; ')}`;
+    case 'quality':
+      return data.passed
+        ? 'Passed the quality gate'
+        : `Quality gate: ${data.issues.map(issue => issue.message).join('; ')}${data.retrying ? ' (retrying)' : ''}`;
+    case 'saved':
+      return `Saved as ${data.status}`;
+    default:
+      return null;
+  }
+}
+
+// The article as the model writes it, with the model in use and each step so far
+function GenerationPreview({ generation }) {
+  const title = partialJsonString(generation.text, 'title');
+  const body = partialJsonString(generation.text, 'body_markdown');
+  // Replies that are not JSON (yet) are shown as they arrive
+  const looksLikeJson = generation.text.trimStart().startsWith('{');
+
+  return (
+    <article className="article-view generation-preview" aria-busy="true">
+      <header className="article-header">
+        <h1 className="article-title">{title || `Writing about ${generation.topic}...`}</h1>
+        <div className="article-meta">
+          {generation.model && <span className="article-model">Written by {generation.model}</span>}
+        </div>
+        <ol className="generation-steps">
+          {generation.steps.map((step, index) => (
+            <li key={index}>{step}</li>
+          ))}
+        </ol>
+      </header>
+      <div className="article-content">
+        <div className="content-text generation-text">
+          {looksLikeJson ? body : generation.text}
+          <span className="generation-cursor" />
+        </div>
+      </div>
+    </article>
+  );
+}
+
+function ArticleView({ article, notFound, user, onArticleChange, onTagSelect }) {
   if (!article) {
     return (
       <div className="article-view empty-view">
         <div className="empty-content">
-          <p>Select an article to read</p>
+          <p>{notFound ? 'Article not found' : 'Select an article to read'}</p>
         </div>
       </div>
     );
@@ -60,27 +509,110 @@ function ArticleView({ article }) {
     <article className="article-view">
       <header className="article-header">
         <h1 className="article-title">{article.title}</h1>
-        <time className="article-date">{formattedDate}</time>
+        <div className="article-meta">
+          <time className="article-date">{formattedDate}</time>
+          {article.reading_time_minutes && (
+            <span className="article-reading-time">{article.reading_time_minutes} min read</span>
+          )}
+          {SOURCE_LABELS[article.source] && (
+            <span
+              className={`article-source article-source-${article.source}`}
+              title={article.model ? `Model: ${article.model}` : undefined}
+            >
+              {SOURCE_LABELS[article.source]}
+            </span>
+          )}
+          {article.source === 'ai' && article.model && <span className="article-model">{article.model}</span>}
+        </div>
+        {article.tags?.length > 0 && (
+          <div className="article-tags">
+            {article.tags.map(tag => (
+              <button key={tag.slug} className="tag-chip" onClick={() => onTagSelect(tag.slug)}>
+                {tag.name}
+              </button>
+            ))}
+          </div>
+        )}
+        {canEdit(user) && <QualityNotice article={article} />}
+        {canEdit(user) && <RevisionsPanel article={article} onArticleChange={onArticleChange} />}
       </header>
+      {article.toc?.length > 1 && (
+        <nav className="article-toc" aria-label="Table of contents">
+          <h2 className="toc-title">Contents</h2>
+          <ul>
+            {article.toc.map(entry => (
+              <li key={entry.id} className={`toc-level-${entry.level}`}>
+                <a href={`#${entry.id}`}>{entry.text}</a>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
       <div className="article-content">
-        <div className="content-text">{article.content}</div>
+        {/* content_html is sanitized server-side; raw markdown stays in article.content */}
+        {article.content_html !== undefined ? (
+          <div className="content-text markdown-body" dangerouslySetInnerHTML={{ __html: article.content_html }} />
+        ) : (
+          <div className="content-text">{article.content}</div>
+        )}
       </div>
     </article>
   );
 }
 
 export default function App() {
+  const navigate = useNavigate();
+  // The open article lives in the URL, so links can be shared and history works
+  const slug = useMatch('/articles/:slug')?.params.slug;
   const [articles, setArticles] = useState([]);
-  const [selected, setSelected] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [activeArticle, setActiveArticle] = useState(null);
+  const [notFound, setNotFound] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [creating, setCreating] = useState(false);
+  // Live state of a streamed generation: { topic, model, text, steps }
+  const [generation, setGeneration] = useState(null);
+  const [query, setQuery] = useState('');
+  const [tags, setTags] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+  const [user, setUser] = useState(null);
+  const [showLogin, setShowLogin] = useState(false);
+
+  const login = async apiKey => {
+    const { data } = await api.get('/auth/me', { headers: { Authorization: `Bearer ${apiKey}` } });
+    localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+    setUser(data);
+    setShowLogin(false);
+  };
+
+  const logout = () => {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    setUser(null);
+  };
+
+  const fetchPage = pageNumber =>
+    hasSearchTerms(query)
+      ? api.get('/articles/search', { params: { q: query, tag: activeTag, page: pageNumber, limit: PAGE_SIZE } })
+      : api.get('/articles', { params: { tag: activeTag, page: pageNumber, limit: PAGE_SIZE, view: 'summary' } });
+
+  const fetchTags = () =>
+    api
+      .get('/tags')
+      .then(({ data }) => setTags(data))
+      .catch(err => console.error('Failed to fetch tags:', err));
 
   const fetchArticles = async () => {
     setLoading(true);
     try {
-      const { data } = await api.get('/articles');
+      const { data, headers } = await fetchPage(1);
       setArticles(data);
-      if (data.length && !selected) setSelected(data[0].id);
+      setPage(1);
+      setTotal(Number(headers['x-total-count']) || data.length);
+      fetchTags();
+      // Without a permalink, open the newest article (replacing "/" in history)
+      if (data.length && !slug) navigate(articlePath(data[0].slug), { replace: true });
     } catch (err) {
       console.error('Failed to fetch articles:', err);
       alert('Failed to load articles. Check console for details.');
@@ -89,34 +621,100 @@ export default function App() {
     }
   };
 
-  const fetchOne = async id => {
+  const loadMore = async () => {
+    if (loadingMore) return;
+    setLoadingMore(true);
     try {
-      const { data } = await api.get(`/articles/${id}`);
-      setSelected(data.id);
-      setArticles(prev => prev.map(a => (a.id === id ? data : a)));
+      const nextPage = page + 1;
+      const { data, headers } = await fetchPage(nextPage);
+      // New articles may have shifted page boundaries, so skip ones already shown
+      setArticles(prev => [...prev, ...data.filter(a => !prev.some(p => p.id === a.id))]);
+      setPage(nextPage);
+      setTotal(Number(headers['x-total-count']) || total);
     } catch (err) {
-      console.error('Failed to fetch article:', err);
+      console.error('Failed to load more articles:', err);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
   const generateArticle = async () => {
     setCreating(true);
+    const topic = 'engineering productivity';
+    setGeneration({ topic, model: null, text: '', steps: [] });
     try {
-      await api.post('/articles/generate', { topic: 'engineering productivity' });
+      let saved = null;
+      await streamEvents('/articles/generate/stream', { topic }, (type, data) => {
+        if (type === 'error') throw new Error(data.details || data.error);
+        if (type === 'saved') saved = data;
+        const step = describeGenerationEvent(type, data);
+        setGeneration(prev => ({
+          ...prev,
+          // A new attempt (or repair) writes a fresh reply
+          model: type === 'attempt' ? data.model : prev.model,
+          text: type === 'attempt' ? '' : type === 'token' ? prev.text + data.text : prev.text,
+          steps: step ? [...prev.steps, step] : prev.steps
+        }));
+      });
+      if (!saved) throw new Error('The generation stream ended before the article was saved');
       await fetchArticles();
+      navigate(articlePath(saved.slug));
     } catch (err) {
       console.error('Failed to generate article:', err);
-      alert('Failed to generate article. Check console for details.');
+      if (err.status === 429) {
+        const minutes = Math.ceil(err.retryAfter / 60);
+        alert(`${err.message}. Try again in about ${minutes} minute(s).`);
+      } else {
+        alert(`Failed to generate article: ${err.message}`);
+      }
     } finally {
+      setGeneration(null);
       setCreating(false);
     }
   };
 
+  // Restore the session from a stored key, dropping it once it stops working
   useEffect(() => {
-    fetchArticles().catch(console.error);
+    if (!localStorage.getItem(API_KEY_STORAGE_KEY)) return;
+    api
+      .get('/auth/me')
+      .then(({ data }) => setUser(data))
+      .catch(err => {
+        if (err.response?.status === 401) localStorage.removeItem(API_KEY_STORAGE_KEY);
+      });
   }, []);
 
-  const activeArticle = articles.find(a => a.id === selected);
+  useEffect(() => {
+    if (!slug) return undefined;
+    // Ignore a slower response for an article the reader already navigated away from
+    let stale = false;
+    api
+      .get(`/articles/by-slug/${encodeURIComponent(slug)}`)
+      .then(({ data }) => {
+        if (stale) return;
+        setActiveArticle(data);
+        setNotFound(false);
+      })
+      .catch(err => {
+        if (stale) return;
+        if (err.response?.status !== 404) console.error('Failed to fetch article:', err);
+        setActiveArticle(null);
+        setNotFound(true);
+      });
+    return () => {
+      stale = true;
+    };
+  }, [slug]);
+
+  useEffect(() => {
+    document.title = activeArticle ? `${activeArticle.title} | Assimetria` : 'Assimetria';
+  }, [activeArticle]);
+
+  // Debounce searches while typing; the initial load and tag changes run immediately
+  useEffect(() => {
+    const timer = setTimeout(() => fetchArticles().catch(console.error), query ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [query, activeTag]);
 
   return (
     <div className="app">
@@ -134,23 +732,61 @@ export default function App() {
             >
               {loading ? 'Refreshing...' : 'Refresh'}
             </button>
-            <button 
-              className="btn btn-primary" 
-              onClick={generateArticle} 
-              disabled={creating}
-            >
-              {creating ? 'Generating...' : 'Generate New'}
-            </button>
+            {canEdit(user) && (
+              <button 
+                className="btn btn-primary" 
+                onClick={generateArticle} 
+                disabled={creating}
+              >
+                {creating ? 'Generating...' : 'Generate New'}
+              </button>
+            )}
+            {user ? (
+              <>
+                <span className="user-badge">{user.name} · {user.role}</span>
+                <button className="btn btn-secondary" onClick={logout}>
+                  Sign out
+                </button>
+              </>
+            ) : (
+              !showLogin && (
+                <button className="btn btn-secondary" onClick={() => setShowLogin(true)}>
+                  Sign in
+                </button>
+              )
+            )}
           </nav>
         </div>
+        {showLogin && !user && <LoginForm onLogin={login} onCancel={() => setShowLogin(false)} />}
       </header>
       <main className="main-content">
         <ArticleList
           articles={articles}
-          onSelect={id => fetchOne(id).catch(console.error)}
-          selectedId={selected}
+          total={total}
+          selectedSlug={slug}
+          hasMore={articles.length < total}
+          loadingMore={loadingMore}
+          onLoadMore={() => loadMore().catch(console.error)}
+          query={query}
+          onQueryChange={setQuery}
+          tags={tags}
+          activeTag={activeTag}
+          onTagChange={setActiveTag}
         />
-        <ArticleView article={activeArticle} />
+        {generation ? (
+          <GenerationPreview generation={generation} />
+        ) : (
+          <ArticleView
+            article={activeArticle}
+            notFound={notFound}
+            user={user}
+            onTagSelect={setActiveTag}
+            onArticleChange={article => {
+              setActiveArticle(article);
+              setArticles(prev => prev.map(a => (a.id === article.id ? { ...a, title: article.title } : a)));
+            }}
+          />
+        )}
       </main>
     </div>
   );